@@ -0,0 +1,96 @@
+// REST Countries Explorer - Language & Currency Index
+// Inverts the per-country language and currency lists: every language or currency code
+// with the countries that list it and their combined population
+
+// Index entries a country contributes: { key, name, symbol } per language or currency
+const BROWSE_INDEXES = {
+  languages: {
+    getEntries: country => Object.entries(country.languages || {})
+      .map(([code, name]) => ({ key: code, name: name || code, symbol: '' }))
+  },
+  currencies: {
+    getEntries: country => Object.entries(country.currencies || {})
+      .map(([code, currency]) => ({ key: code, name: currency.name || code, symbol: currency.symbol || '' }))
+  }
+};
+
+// Orderings of the index; ties fall back to the name
+const BROWSE_SORTS = {
+  name: () => 0,
+  countries: (a, b) => b.countries.length - a.countries.length,
+  population: (a, b) => b.population - a.population
+};
+
+// All entries of an index with their countries and combined population
+function buildBrowseIndex(countries, indexKey) {
+  const entries = new Map();
+
+  countries.forEach(country => {
+    BROWSE_INDEXES[indexKey].getEntries(country).forEach(({ key, name, symbol }) => {
+      const entry = entries.get(key) || { key, name, symbol, countries: [], population: 0 };
+      entry.countries.push(country);
+      entry.population += country.population || 0;
+      entries.set(key, entry);
+    });
+  });
+
+  return [...entries.values()];
+}
+
+// Entries whose name, code, symbol or one of whose countries matches the query
+function filterBrowseIndex(entries, query) {
+  const term = normalizeSearchText(query.trim());
+  if (!term) return entries;
+
+  return entries.filter(entry =>
+    [entry.name, entry.key, entry.symbol, ...entry.countries.map(getCountryName)]
+      .some(text => normalizeSearchText(text).includes(term))
+  );
+}
+
+// Entries in the chosen order
+function sortBrowseIndex(entries, sortKey) {
+  return [...entries].sort((a, b) =>
+    BROWSE_SORTS[sortKey](a, b) || a.name.localeCompare(b.name, getLocale())
+  );
+}
+
+// One index entry: its name, code and totals, then links to its countries
+function renderBrowseEntry(entry, indexKey) {
+  const title = indexKey === 'currencies'
+    ? `${escapeHTML(entry.key)} – ${escapeHTML(entry.name)}${entry.symbol ? ` <span class="text-gray-500">(${escapeHTML(entry.symbol)})</span>` : ''}`
+    : `${escapeHTML(entry.name)} <span class="text-xs text-gray-400">${escapeHTML(entry.key)}</span>`;
+  const countries = [...entry.countries]
+    .sort((a, b) => getCountryName(a).localeCompare(getCountryName(b), getLocale()));
+
+  return `
+    <li class="browse-entry">
+      <div class="flex justify-between items-baseline gap-4">
+        <span class="font-semibold text-gray-800">${title}</span>
+        <span class="text-sm text-gray-500 whitespace-nowrap">${t('browse.totals', {
+          count: formatNumber(entry.countries.length),
+          population: formatCompactNumber(entry.population)
+        })}</span>
+      </div>
+      <div class="flex flex-wrap gap-x-3 gap-y-1 mt-1 text-sm">
+        ${countries.map(country => renderCountryLink(country.cca3)).join('')}
+      </div>
+    </li>
+  `;
+}
+
+// The index for the chosen tab, search text and sort
+function renderBrowseIndex(countries, indexKey, query, sortKey) {
+  const entries = sortBrowseIndex(filterBrowseIndex(buildBrowseIndex(countries, indexKey), query), sortKey);
+
+  if (entries.length === 0) {
+    return `<p class="text-sm text-gray-500 py-8 text-center">${t('browse.noResults')}</p>`;
+  }
+
+  return `
+    <p class="text-sm text-gray-500 mb-3">${t(`browse.summary.${indexKey}`, { count: formatNumber(entries.length) })}</p>
+    <ul class="space-y-3">
+      ${entries.map(entry => renderBrowseEntry(entry, indexKey)).join('')}
+    </ul>
+  `;
+}
@@ -0,0 +1,58 @@
+// REST Countries Explorer - Geographic Distance
+// Great-circle (haversine) distances between country centroids and capitals
+
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_MILE = 1.609344;
+const DEFAULT_NEAREST_COUNT = 5;
+const MAX_NEAREST_COUNT = 20;
+
+// Great-circle distance in km between two [lat, lng] points
+function getGreatCircleDistance(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const deltaLat = toRadians(to[0] - from[0]);
+  const deltaLng = toRadians(to[1] - from[1]);
+  const a = Math.sin(deltaLat / 2) ** 2
+    + Math.cos(toRadians(from[0])) * Math.cos(toRadians(to[0])) * Math.sin(deltaLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Centroid of a country as [lat, lng], or null when unknown
+function getCentroid(country) {
+  return Array.isArray(country.latlng) && country.latlng.length === 2 ? country.latlng : null;
+}
+
+// Capital coordinates as [lat, lng], or null when unknown
+function getCapitalPoint(country) {
+  const latlng = country.capitalInfo && country.capitalInfo.latlng;
+  return Array.isArray(latlng) && latlng.length === 2 ? latlng : null;
+}
+
+// Centroid-to-centroid distance in km between two countries (null when either is unknown)
+function getCountryDistance(a, b) {
+  const from = getCentroid(a);
+  const to = getCentroid(b);
+  return from && to ? getGreatCircleDistance(from, to) : null;
+}
+
+// Capital-to-capital distance in km between two countries (null when either is unknown)
+function getCapitalDistance(a, b) {
+  const from = getCapitalPoint(a);
+  const to = getCapitalPoint(b);
+  return from && to ? getGreatCircleDistance(from, to) : null;
+}
+
+// The count closest other countries by centroid, as { country, distance } nearest first
+function getNearestCountries(country, countries, count) {
+  return countries
+    .filter(other => other.cca3 !== country.cca3)
+    .map(other => ({ country: other, distance: getCountryDistance(country, other) }))
+    .filter(entry => entry.distance !== null)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, count);
+}
+
+// "1,234 km (767 mi)"
+function formatDistance(km) {
+  if (km === null || km === undefined) return t('common.notAvailable');
+  return `${formatNumber(Math.round(km))} km (${formatNumber(Math.round(km / KM_PER_MILE))} mi)`;
+}
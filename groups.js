@@ -0,0 +1,150 @@
+// REST Countries Explorer - Grouped View
+// Splits the current results into collapsible sections (region, subregion, first language,
+// first currency or population band), each headed by its country count, population and area
+
+const POPULATION_BANDS = [1e6, 1e7, 5e7, 1e8]; // Upper limits; the last band is open-ended
+
+// Ways to group countries: getGroup returns the group key of a country (null when unknown)
+const GROUP_BY_OPTIONS = {
+  region: {
+    getGroup: country => country.region || null,
+    formatGroup: region => translateRegion(region)
+  },
+  subregion: {
+    getGroup: country => country.subregion || null,
+    formatGroup: subregion => subregion
+  },
+  language: {
+    getGroup: country => Object.values(country.languages || {})[0] || null,
+    formatGroup: language => language
+  },
+  currency: {
+    getGroup: country => Object.keys(country.currencies || {})[0] || null,
+    formatGroup: code => getFacetOptionLabel('currency', code)
+  },
+  population: {
+    getGroup: getPopulationBand,
+    formatGroup: formatPopulationBand,
+    keepOrder: true // Bands are listed smallest first instead of alphabetically
+  }
+};
+
+// Index of the population band a country falls in, as a string key
+function getPopulationBand(country) {
+  if (typeof country.population !== 'number') return null;
+
+  const band = POPULATION_BANDS.findIndex(limit => country.population < limit);
+  return String(band === -1 ? POPULATION_BANDS.length : band);
+}
+
+// Band label: "Under 1M", "1M – 10M", "100M and above"
+function formatPopulationBand(key) {
+  const band = Number(key);
+  if (band === 0) return t('group.band.below', { value: formatCompactNumber(POPULATION_BANDS[0]) });
+  if (band === POPULATION_BANDS.length) return t('group.band.above', { value: formatCompactNumber(POPULATION_BANDS[band - 1]) });
+  return `${formatCompactNumber(POPULATION_BANDS[band - 1])} – ${formatCompactNumber(POPULATION_BANDS[band])}`;
+}
+
+// Groups of the given countries with their totals, in display order (unknown last).
+// Countries keep their order within a group, so the selected sort still applies.
+function buildCountryGroups(countries, groupByKey) {
+  const option = GROUP_BY_OPTIONS[groupByKey];
+  const groups = new Map();
+
+  countries.forEach(country => {
+    const key = option.getGroup(country);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key: key === null ? '' : key,
+        label: key === null ? t('group.unknown') : option.formatGroup(key),
+        countries: [],
+        population: 0,
+        area: 0
+      });
+    }
+
+    const group = groups.get(key);
+    group.countries.push(country);
+    group.population += country.population || 0;
+    group.area += country.area || 0;
+  });
+
+  return [...groups.values()].sort((a, b) => {
+    if (!a.key || !b.key) return !a.key - !b.key;
+    return option.keepOrder ? Number(a.key) - Number(b.key) : a.label.localeCompare(b.label, getLocale());
+  });
+}
+
+// Collapsible sections for the current results; only expanded sections get cards
+function renderGroupedView(countries) {
+  const expanded = expandedGroups[groupBy] || [];
+  const focusedKey = groupedView.contains(document.activeElement) && document.activeElement.dataset.action === 'toggle-group'
+    ? document.activeElement.dataset.groupKey
+    : null;
+  const focusedCard = groupedView.contains(document.activeElement) ? document.activeElement.closest('.country-card') : null;
+  const groups = buildCountryGroups(countries, groupBy);
+
+  // Cards are keyed by cca3 like in the plain grid: unchanged ones are moved into the new sections
+  const existingCards = new Map([...groupedView.querySelectorAll('.country-card')].map(card => [card.dataset.countryCode, card]));
+
+  groupedView.innerHTML = `
+    <div class="flex justify-between items-center text-sm text-gray-500">
+      <span>${t('group.summary', { count: formatNumber(groups.length) })}</span>
+      <span class="flex gap-3">
+        <button data-action="expand-all-groups" class="text-blue-600 hover:text-blue-800">${t('group.expandAll')}</button>
+        <button data-action="collapse-all-groups" class="text-blue-600 hover:text-blue-800">${t('group.collapseAll')}</button>
+      </span>
+    </div>
+    ${groups.map(group => {
+      const isExpanded = expanded.includes(group.key);
+      return `
+        <section class="country-group">
+          <button
+            class="country-group-header"
+            data-action="toggle-group"
+            data-group-key="${escapeHTML(group.key)}"
+            aria-expanded="${isExpanded}"
+          >
+            <span class="country-group-chevron" aria-hidden="true">▸</span>
+            <span class="font-semibold text-gray-800">${escapeHTML(group.label)}</span>
+            <span class="ml-auto text-sm text-gray-500">${t('group.totals', {
+              count: formatNumber(group.countries.length),
+              population: formatCompactNumber(group.population),
+              area: formatCompactNumber(group.area)
+            })}</span>
+          </button>
+          <div class="country-group-body grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 ${isExpanded ? '' : 'hidden'}" role="list"></div>
+        </section>
+      `;
+    }).join('')}
+  `;
+
+  // Cards are DOM elements, so they are added after the section markup
+  const bodies = groupedView.querySelectorAll('.country-group-body');
+  groups.forEach((group, index) => {
+    if (!expanded.includes(group.key)) return;
+    group.countries.forEach((country, cardIndex) => {
+      const renderKey = getCardRenderKey(country);
+      let card = existingCards.get(country.cca3);
+      if (!card || card.dataset.renderKey !== renderKey) {
+        card = createCountryCard(country, cardIndex);
+        card.dataset.renderKey = renderKey;
+      }
+      bodies[index].appendChild(card);
+    });
+  });
+
+  // Favorite and travel state is not part of the render key, so reused cards are refreshed
+  updateAllFavoriteButtons();
+  updateTravelSelects();
+
+  if (focusedCard) {
+    const card = groupedView.querySelector(`.country-card[data-country-code="${focusedCard.dataset.countryCode}"]`);
+    if (card) card.focus({ preventScroll: true });
+  }
+  if (focusedKey !== null) {
+    const header = [...groupedView.querySelectorAll('[data-action="toggle-group"]')]
+      .find(button => button.dataset.groupKey === focusedKey);
+    if (header) header.focus();
+  }
+}
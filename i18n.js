@@ -0,0 +1,863 @@
+// REST Countries Explorer - Localization
+// Message catalog (Indonesian and English), translation helper and language settings
+
+// Supported UI languages. translationKey is the REST Countries "translations" key used for country names.
+const LANGUAGES = {
+  id: { label: 'ID', name: 'Bahasa Indonesia', locale: 'id-ID', translationKey: 'ind', thousandsSeparator: '.' },
+  en: { label: 'EN', name: 'English', locale: 'en-US', translationKey: null, thousandsSeparator: ',' }
+};
+const DEFAULT_LANGUAGE = 'id';
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+// Message catalog. Placeholders like {count} are filled in by t().
+const MESSAGES = {
+  id: {
+    'app.title': '🌍 Penjelajah Negara Dunia',
+    'app.name': 'Penjelajah Negara',
+    'language.label': 'Bahasa tampilan',
+
+    'search.placeholder': 'Cari negara...',
+    'search.help': 'Cari nama, kode, ibu kota atau ejaan lain. Contoh: benua:asia pop>50m bahasa:french',
+
+    'hero.title': 'Penjelajah Negara Dunia',
+    'hero.description': 'Temukan dan eksplorasi informasi lengkap tentang 250+ negara di dunia. Dapatkan data geografis, demografis, budaya, dan ekonomi dari berbagai negara dengan mudah.',
+    'hero.realtime': 'Data Real-time',
+    'hero.maps': 'Peta Interaktif',
+    'hero.favorites': 'Simpan Favorit',
+    'stats.countries': 'Negara Ditampilkan',
+    'stats.countriesOf': 'dari {total} negara',
+    'stats.totalPopulation': 'Total Populasi',
+    'stats.totalArea': 'Total Luas Wilayah',
+    'stats.median': 'Median: {value}',
+    'stats.toggle': '📊 Statistik',
+    'stats.title': 'Statistik Hasil Saat Ini',
+    'stats.empty': 'Tidak ada negara dalam hasil saat ini.',
+    'stats.summary': '{count} negara · total populasi {population} jiwa (median {medianPopulation}) · total luas {area} km² (median {medianArea} km²)',
+    'stats.byRegion': 'Per Benua',
+    'stats.bySubregion': 'Per Subwilayah',
+    'stats.topPopulation': '10 Populasi Terbesar',
+    'stats.topArea': '10 Wilayah Terluas',
+    'stats.densest': '10 Terpadat',
+    'stats.sparsest': '10 Terjarang',
+    'stats.languages': 'Bahasa Terbanyak (jumlah negara)',
+    'stats.currencies': 'Mata Uang Terbanyak (jumlah negara)',
+
+    'map.toggle': '🗺️ Peta Dunia',
+    'map.title': 'Peta Dunia',
+    'map.colorBy': 'Warnai berdasarkan',
+    'map.metric.population': 'Populasi',
+    'map.metric.area': 'Luas Wilayah',
+    'map.metric.density': 'Kepadatan',
+    'map.metric.region': 'Benua',
+    'map.metric.favorite': 'Status Favorit',
+    'map.favorite.favorite': 'Favorit',
+    'map.favorite.other': 'Bukan favorit',
+    'map.noData': 'Tidak ada data',
+    'map.summary': '{count} dari {total} negara cocok dengan pencarian dan filter saat ini (yang lain diredupkan)',
+    'map.notMatched': 'Tidak cocok dengan filter saat ini',
+    'map.aria': 'Peta dunia diwarnai berdasarkan {metric}',
+    'map.note': 'Negara digambar sesuai batas wilayahnya; negara yang terlalu kecil untuk data batas ditandai dengan titik. Klik untuk melihat detail.',
+    'map.shapesUnavailable': 'Batas negara tidak dapat dimuat (halaman harus dibuka lewat server HTTP, bukan sebagai file), sehingga negara ditampilkan sebagai titik.',
+
+    'favorites.show': '⭐ Tampilkan Favorit',
+    'favorites.backHome': '🏠 Kembali ke Beranda',
+    'favorites.only': 'Hanya Favorit',
+    'favorites.onlyCollection': 'Hanya: {name}',
+    'favorites.add': 'Tambah ke favorit',
+    'favorites.remove': 'Hapus dari favorit',
+
+    'sort.label': 'Urutan',
+    'sort.primary': 'Urutkan berdasarkan',
+    'sort.secondary': 'Lalu urutkan berdasarkan',
+    'sort.by': 'Urutkan: {field}',
+    'sort.thenBy': 'Lalu: {field}',
+    'sort.thenNone': 'Lalu: —',
+    'sort.ascending': 'Naik (A→Z, terkecil dulu)',
+    'sort.descending': 'Turun (Z→A, terbesar dulu)',
+    'sort.field.name': 'Nama',
+    'sort.field.population': 'Populasi',
+    'sort.field.area': 'Luas',
+    'sort.field.density': 'Kepadatan',
+    'sort.field.borders': 'Jumlah Perbatasan',
+    'sort.field.languages': 'Jumlah Bahasa',
+    'sort.field.capital': 'Ibu Kota',
+    'sort.field.region': 'Benua',
+    'sort.field.subregion': 'Subwilayah',
+    'sort.field.timezone': 'Zona Waktu',
+    'sort.distance': 'Jarak dari Negara Asal (pilih di detail negara)',
+    'sort.distanceFrom': 'Jarak dari {name}',
+
+    'status.dataAsOf': 'Data per {date}',
+    'status.refreshing': 'Memperbarui...',
+    'status.offline': 'Offline, menampilkan data tersimpan',
+    'status.refresh': '🔄 Perbarui Data',
+    'status.refreshTitle': 'Muat ulang data dari API',
+    'status.invalidRecords': '{count} data tidak valid dilewati',
+
+    'source.v3': 'REST Countries v3.1',
+    'source.v2': 'REST Countries v2',
+    'source.local': 'File lokal',
+
+    'degraded.message': '⚠️ Sebagian data gagal dimuat: {sections}. Bagian ini mungkin kosong.',
+    'degraded.retry': '🔄 Muat Ulang Bagian Ini',
+    'section.codes': 'kode & ejaan lain',
+    'section.languages': 'bahasa',
+    'section.currencies': 'mata uang',
+    'section.borders': 'perbatasan',
+    'section.timezones': 'zona waktu',
+    'section.translations': 'nama terjemahan',
+    'section.maps': 'peta',
+    'section.facts': 'informasi tambahan',
+    'section.other': 'lainnya',
+
+    'loading.countries': 'Memuat data negara...',
+    'noResults.title': 'Tidak ada negara ditemukan',
+    'noResults.text': 'Coba ubah pencarian atau filter untuk menemukan yang Anda cari',
+    'noResults.clear': 'Hapus Pencarian',
+
+    'error.title': 'Terjadi Kesalahan',
+    'error.loadFailed': 'Gagal memuat data negara.',
+    'error.checkConnection': 'Periksa koneksi internet Anda.',
+    'error.server': 'Kesalahan server. Silakan coba lagi nanti.',
+    'error.tryLater': 'Silakan coba lagi nanti.',
+    'error.timeout': 'Server terlalu lama merespons.',
+    'error.retry': '🔄 Coba Lagi',
+
+    'common.notAvailable': 'Tidak tersedia',
+    'common.none': 'Tidak ada',
+    'common.all': 'Semua',
+    'common.close': 'Tutup',
+    'common.yes': 'Ya',
+    'common.no': 'Tidak',
+
+    'unit.people': 'jiwa',
+    'unit.km2': 'km²',
+    'unit.perKm2': 'jiwa/km²',
+
+    'region.Africa': 'Afrika',
+    'region.Americas': 'Amerika',
+    'region.Antarctic': 'Antartika',
+    'region.Asia': 'Asia',
+    'region.Europe': 'Eropa',
+    'region.Oceania': 'Oseania',
+
+    'filter.toggle': '🎛️ Filter',
+    'filter.toggleCount': '🎛️ Filter ({count})',
+    'filter.title': 'Filter Negara',
+    'filter.reset': 'Reset Filter',
+    'facet.region': 'Benua',
+    'facet.subregion': 'Subwilayah',
+    'facet.language': 'Bahasa',
+    'facet.currency': 'Mata Uang',
+    'facet.borders': 'Perbatasan',
+    'facet.landlocked': 'Terkurung daratan',
+    'facet.noBorders': 'Tanpa perbatasan darat',
+    'range.population': 'Populasi',
+    'range.area': 'Luas Wilayah',
+    'range.density': 'Kepadatan',
+    'range.noLimit': 'Tanpa batas',
+
+    'card.capital': 'Ibu Kota',
+    'card.region': 'Benua',
+    'card.population': 'Populasi',
+    'card.localTime': 'Waktu Lokal',
+
+    'time.filterTitle': 'Jam Lokal Saat Ini',
+    'time.filterHint': 'Tampilkan negara yang salah satu zona waktunya sedang berada dalam rentang jam ini.',
+    'time.from': 'Dari',
+    'time.to': 'Sampai',
+    'time.workingHours': 'Jam kerja (09:00–17:00)',
+    'time.clear': 'Hapus',
+    'time.zoneCount': '{count} zona',
+
+    'pagination.first': '« Pertama',
+    'pagination.previous': '← Sebelumnya',
+    'pagination.next': 'Selanjutnya →',
+    'pagination.last': 'Terakhir »',
+    'pagination.summary': 'Menampilkan {start}–{end} dari {total} negara',
+    'pagination.jump': 'Ke halaman',
+    'pagination.of': 'dari {total}',
+    'pagination.scrollCount': 'Menampilkan semua {count} negara',
+
+    'display.label': 'Mode tampilan',
+    'display.pages': '📄 Per Halaman',
+    'display.scroll': '📜 Gulir Tanpa Batas',
+    'display.pageSizeLabel': 'Jumlah per halaman',
+    'display.pageSize': '{count} per halaman',
+
+    'group.label': 'Kelompokkan negara',
+    'group.none': '🗂️ Tanpa Pengelompokan',
+    'group.region': 'Kelompokkan: Benua',
+    'group.subregion': 'Kelompokkan: Subwilayah',
+    'group.language': 'Kelompokkan: Bahasa Utama',
+    'group.currency': 'Kelompokkan: Mata Uang Utama',
+    'group.population': 'Kelompokkan: Rentang Populasi',
+    'group.summary': '{count} kelompok',
+    'group.totals': '{count} negara · {population} jiwa · {area} km²',
+    'group.expandAll': 'Buka semua',
+    'group.collapseAll': 'Tutup semua',
+    'group.unknown': 'Tidak diketahui',
+    'group.band.below': 'Di bawah {value}',
+    'group.band.above': '{value} ke atas',
+
+    'modal.flagAlt': 'Bendera {name}',
+    'modal.capital': 'Ibu Kota',
+    'modal.location': 'Wilayah',
+    'modal.region': 'Benua',
+    'modal.subregion': 'Subwilayah',
+    'modal.continents': 'Kontinen',
+    'modal.population': 'Populasi',
+    'modal.area': 'Luas Wilayah',
+    'modal.timezones': 'Zona Waktu',
+    'modal.languages': 'Bahasa',
+    'modal.currencies': 'Mata Uang',
+    'modal.neighbors': 'Negara Tetangga',
+    'modal.neighborsTotal': 'Total: {count} negara tetangga',
+    'modal.map': '🗺️ Peta',
+    'modal.mapCapital': '🗺️ Peta (Ibu Kota)',
+    'modal.additionalInfo': 'Informasi Tambahan',
+    'modal.countryCode': 'Kode Negara',
+    'modal.fifa': 'Kode FIFA',
+    'modal.tld': 'TLD',
+    'modal.callingCode': 'Kode Telepon',
+    'modal.drivingSide': 'Lajur Kendaraan',
+    'modal.drivingSide.left': 'Kiri',
+    'modal.drivingSide.right': 'Kanan',
+    'modal.unMember': 'Anggota PBB',
+    'modal.independent': 'Merdeka',
+    'modal.landlocked': 'Terkurung Daratan',
+    'modal.gini': 'Indeks Gini',
+    'modal.startOfWeek': 'Awal Pekan',
+    'weekday.monday': 'Senin',
+    'weekday.sunday': 'Minggu',
+    'weekday.saturday': 'Sabtu',
+    'modal.errorTitle': 'Gagal Memuat Detail',
+    'modal.errorText': 'Tidak dapat memuat detail negara. Silakan coba lagi.',
+
+    'route.title': '🧭 Rute Darat',
+    'route.from': 'Dari {name} ke',
+    'route.find': 'Cari Rute',
+    'route.within': 'Negara dalam',
+    'route.hopsUnit': 'langkah perbatasan',
+    'route.show': 'Tampilkan',
+    'route.none': 'Tidak ada rute darat.',
+    'route.noBorders': '{names} tidak memiliki perbatasan darat.',
+    'route.and': ' dan ',
+    'route.disconnected': 'Kedua negara berada di daratan yang tidak terhubung.',
+    'route.crossings': '{count} kali melintasi perbatasan',
+    'route.hopGroup': '{hops} langkah ({count})',
+    'route.isolated': 'Negara ini tidak memiliki perbatasan darat.',
+
+    'distance.title': '📏 Jarak',
+    'distance.setHome': '🏠 Jadikan negara asal',
+    'distance.clearHome': 'Hapus negara asal',
+    'distance.isHome': 'Ini negara asal Anda.',
+    'distance.home': 'Negara asal: {name} ({distance})',
+    'distance.nearest': 'Negara terdekat:',
+    'distance.between': 'Jarak {name} ke',
+    'distance.measure': 'Hitung',
+    'distance.centroid': 'Titik tengah ke titik tengah',
+    'distance.capital': 'Ibu kota ke ibu kota',
+    'distance.noLocation': 'Koordinat negara ini tidak tersedia.',
+    'distance.fromHome': '{distance} dari {name}',
+
+    'quiz.button': '🎓 Kuis',
+    'quiz.title': '🎓 Kuis Negara',
+    'quiz.gameType': 'Jenis permainan',
+    'quiz.type.flag': 'Tebak negara dari bendera',
+    'quiz.type.capital': 'Cocokkan ibu kota dengan negara',
+    'quiz.type.population': 'Mana yang populasinya lebih besar?',
+    'quiz.region': 'Wilayah',
+    'quiz.allRegions': 'Semua wilayah',
+    'quiz.difficulty': 'Tingkat kesulitan',
+    'quiz.difficulty.easy': 'Mudah',
+    'quiz.difficulty.medium': 'Sedang',
+    'quiz.difficulty.hard': 'Sulit',
+    'quiz.start': 'Mulai',
+    'quiz.notEnough': 'Tidak cukup negara di wilayah ini untuk permainan tersebut. Pilih wilayah lain.',
+    'quiz.noHistory': 'Belum ada permainan untuk jenis ini.',
+    'quiz.history': 'Riwayat skor (terbaik: {best})',
+    'quiz.historyRow': '{correct}/{total} benar · {score} poin',
+    'quiz.prompt.flag': 'Bendera negara manakah ini?',
+    'quiz.prompt.capital': '{capital} adalah ibu kota negara mana?',
+    'quiz.prompt.population': 'Negara mana yang populasinya lebih besar?',
+    'quiz.progress': 'Pertanyaan {current} dari {total}',
+    'quiz.score': 'Skor: {score}',
+    'quiz.streak': 'Beruntun: {streak}',
+    'quiz.correct': '✅ Benar!',
+    'quiz.wrong': '❌ Salah. Jawabannya: {answer}',
+    'quiz.next': 'Berikutnya',
+    'quiz.finish': 'Lihat hasil',
+    'quiz.summary': '{correct} dari {total} benar · beruntun terbaik {streak}',
+    'quiz.review.title': 'Jawaban yang terlewat',
+    'quiz.review.hint': 'Klik negara untuk membuka detailnya.',
+    'quiz.review.answer': 'Jawaban',
+    'quiz.review.yours': 'Jawaban Anda',
+    'quiz.perfect': '🏆 Sempurna! Semua jawaban benar.',
+    'quiz.playAgain': 'Main lagi',
+    'quiz.changeGame': 'Ganti permainan',
+
+    'browse.button': '🔤 Bahasa & Mata Uang',
+    'browse.title': '🔤 Indeks Bahasa & Mata Uang',
+    'browse.languages': 'Bahasa',
+    'browse.currencies': 'Mata Uang',
+    'browse.searchPlaceholder': 'Cari nama, kode, atau negara...',
+    'browse.sort.countries': 'Negara terbanyak',
+    'browse.sort.population': 'Populasi terbesar',
+    'browse.sort.name': 'Nama A-Z',
+    'browse.summary.languages': '{count} bahasa',
+    'browse.summary.currencies': '{count} mata uang',
+    'browse.totals': '{count} negara · {population} jiwa',
+    'browse.noResults': 'Tidak ada yang cocok dengan pencarian ini.',
+
+    'compare.add': 'Tambah ke perbandingan',
+    'compare.remove': 'Hapus dari perbandingan',
+    'compare.max': 'Maksimal {max} negara dapat dibandingkan',
+    'compare.button': '⚖️ Bandingkan',
+    'compare.open': '⚖️ Bandingkan ({count}/{max})',
+    'compare.pickMin': 'Pilih minimal {min} negara',
+    'compare.clear': 'Kosongkan',
+    'compare.title': '⚖️ Perbandingan Negara',
+    'compare.removeShort': 'Hapus',
+    'compare.highest': '▲ tertinggi',
+    'compare.lowest': '▼ terendah',
+    'compare.shared': 'Kesamaan',
+    'compare.nothingShared': 'Tidak ada bahasa, mata uang, atau tetangga yang sama.',
+
+    'export.button': '⬇️ Ekspor',
+    'export.title': '⬇️ Ekspor Data',
+    'export.format': 'Format',
+    'export.columns': 'Kolom',
+    'export.download': 'Unduh',
+    'export.summary': '{count} negara dari hasil pencarian dan filter saat ini akan diekspor.',
+    'export.noColumns': 'Pilih minimal satu kolom untuk diekspor.',
+    'export.skipped': '{count} negara tanpa koordinat tidak disertakan dalam GeoJSON.',
+    'export.filePrefix': 'negara',
+    'export.col.name': 'Nama',
+    'export.col.officialName': 'Nama Resmi',
+    'export.col.cca3': 'Kode (cca3)',
+    'export.col.capital': 'Ibu Kota',
+    'export.col.region': 'Benua',
+    'export.col.subregion': 'Subwilayah',
+    'export.col.population': 'Populasi',
+    'export.col.area': 'Luas (km²)',
+    'export.col.density': 'Kepadatan',
+    'export.col.languages': 'Bahasa',
+    'export.col.currencies': 'Mata Uang',
+    'export.col.borders': 'Perbatasan',
+    'export.col.lat': 'Lintang',
+    'export.col.lng': 'Bujur',
+
+    'collections.default': 'Favorit Saya',
+    'collections.active': 'Koleksi favorit aktif',
+    'collections.manage': 'Kelola koleksi',
+    'collections.title': '📁 Kelola Koleksi Favorit',
+    'collections.newPlaceholder': 'Nama koleksi baru, mis. Travel 2027',
+    'collections.create': 'Buat',
+    'collections.exportAll': '⬇️ Ekspor Semua (JSON)',
+    'collections.import': '⬆️ Impor JSON',
+    'collections.note': '📝 Catatan',
+    'collections.noteFor': '📝 Catatan · {name}',
+    'collections.addToWrite': 'Tambahkan negara ini ke koleksi {name} (❤️) untuk menulis catatan dan tag.',
+    'collections.notePlaceholder': 'Tulis catatan...',
+    'collections.tagsPlaceholder': 'Tag, pisahkan dengan koma',
+    'collections.countryCount': '{count} negara',
+    'collections.exportOne': 'Ekspor koleksi ini',
+    'collections.delete': 'Hapus koleksi',
+    'collections.emptyName': 'Nama koleksi tidak boleh kosong.',
+    'collections.created': 'Koleksi "{name}" dibuat.',
+    'collections.confirmDelete': 'Hapus koleksi "{name}"?',
+    'collections.importDone': 'Impor berhasil: {created} koleksi baru, {merged} digabung, {countries} negara.',
+    'collections.importInvalid': 'File tidak valid. Gunakan file hasil ekspor koleksi.',
+    'collections.filePrefix': 'koleksi-favorit',
+
+    'travel.filterLabel': 'Saring status perjalanan',
+    'travel.filter.all': '🧳 Semua Status',
+    'travel.filter.visited': '✈️ Pernah Dikunjungi',
+    'travel.filter.lived': '🏠 Pernah Tinggal',
+    'travel.filter.want': '🎯 Ingin Dikunjungi',
+    'travel.filter.none': 'Belum Ditandai',
+    'travel.title': '🧳 Progres Perjalanan',
+    'travel.modalTitle': '🧳 Status Perjalanan',
+    'travel.statusLabel': 'Status perjalanan',
+    'travel.status.none': 'Status perjalanan…',
+    'travel.status.visited': 'Pernah dikunjungi',
+    'travel.status.lived': 'Pernah tinggal',
+    'travel.status.want': 'Ingin dikunjungi',
+    'travel.visitedOn': 'Tanggal kunjungan',
+    'travel.world': 'Seluruh dunia',
+    'travel.progressHint': 'Negara yang pernah dikunjungi atau ditinggali dihitung sebagai tercakup.',
+    'travel.column.region': 'Benua',
+    'travel.column.countries': 'Negara tercakup',
+    'travel.column.population': 'Populasi',
+    'travel.column.area': 'Luas daratan',
+    'travel.export': '⬇️ Ekspor Catatan Perjalanan (JSON)',
+    'travel.import': '⬆️ Impor JSON',
+    'travel.importDone': 'Impor berhasil: {added} negara baru, {updated} diperbarui.',
+    'travel.importInvalid': 'File tidak valid. Gunakan file hasil ekspor catatan perjalanan.',
+    'travel.filePrefix': 'catatan-perjalanan',
+
+    'footer.description': 'Platform informasi negara dunia yang menyediakan data lengkap dan terpercaya.',
+    'footer.shortcuts': 'Pintasan: / cari · panah pindah antar kartu · Enter buka detail · F favorit · ← → negara sebelumnya/berikutnya di detail · Esc tutup',
+
+    'a11y.grid': 'Daftar negara',
+    'a11y.card': '{name}, ibu kota {capital}, {region}, populasi {population}',
+    'a11y.results': '{count} negara ditemukan'
+  },
+
+  en: {
+    'app.title': '🌍 World Country Explorer',
+    'app.name': 'Country Explorer',
+    'language.label': 'Display language',
+
+    'search.placeholder': 'Search countries...',
+    'search.help': 'Search names, codes, capitals or alternate spellings. Example: region:asia pop>50m lang:french',
+
+    'hero.title': 'World Country Explorer',
+    'hero.description': 'Discover and explore detailed information about 250+ countries of the world. Get geographic, demographic, cultural and economic data for every country with ease.',
+    'hero.realtime': 'Real-time Data',
+    'hero.maps': 'Interactive Maps',
+    'hero.favorites': 'Save Favorites',
+    'stats.countries': 'Countries Shown',
+    'stats.countriesOf': 'of {total} countries',
+    'stats.totalPopulation': 'Total Population',
+    'stats.totalArea': 'Total Area',
+    'stats.median': 'Median: {value}',
+    'stats.toggle': '📊 Statistics',
+    'stats.title': 'Statistics for Current Results',
+    'stats.empty': 'No countries in the current results.',
+    'stats.summary': '{count} countries · total population {population} (median {medianPopulation}) · total area {area} km² (median {medianArea} km²)',
+    'stats.byRegion': 'By Region',
+    'stats.bySubregion': 'By Subregion',
+    'stats.topPopulation': 'Top 10 by Population',
+    'stats.topArea': 'Top 10 by Area',
+    'stats.densest': '10 Most Densely Populated',
+    'stats.sparsest': '10 Least Densely Populated',
+    'stats.languages': 'Most Common Languages (countries)',
+    'stats.currencies': 'Most Common Currencies (countries)',
+
+    'map.toggle': '🗺️ World Map',
+    'map.title': 'World Map',
+    'map.colorBy': 'Color by',
+    'map.metric.population': 'Population',
+    'map.metric.area': 'Area',
+    'map.metric.density': 'Density',
+    'map.metric.region': 'Region',
+    'map.metric.favorite': 'Favorite Status',
+    'map.favorite.favorite': 'Favorite',
+    'map.favorite.other': 'Not a favorite',
+    'map.noData': 'No data',
+    'map.summary': '{count} of {total} countries match the current search and filters (others are dimmed)',
+    'map.notMatched': 'Not matched by the current filters',
+    'map.aria': 'World map colored by {metric}',
+    'map.note': 'Countries are drawn from their borders; ones too small for the border data are shown as dots. Click one for details.',
+    'map.shapesUnavailable': 'Country outlines could not be loaded (the page has to be served over HTTP, not opened as a file), so countries are shown as dots.',
+
+    'favorites.show': '⭐ Show Favorites',
+    'favorites.backHome': '🏠 Back to Home',
+    'favorites.only': 'Favorites Only',
+    'favorites.onlyCollection': 'Only: {name}',
+    'favorites.add': 'Add to favorites',
+    'favorites.remove': 'Remove from favorites',
+
+    'sort.label': 'Sort order',
+    'sort.primary': 'Sort by',
+    'sort.secondary': 'Then sort by',
+    'sort.by': 'Sort: {field}',
+    'sort.thenBy': 'Then: {field}',
+    'sort.thenNone': 'Then: —',
+    'sort.ascending': 'Ascending (A→Z, smallest first)',
+    'sort.descending': 'Descending (Z→A, largest first)',
+    'sort.field.name': 'Name',
+    'sort.field.population': 'Population',
+    'sort.field.area': 'Area',
+    'sort.field.density': 'Density',
+    'sort.field.borders': 'Number of Borders',
+    'sort.field.languages': 'Number of Languages',
+    'sort.field.capital': 'Capital',
+    'sort.field.region': 'Region',
+    'sort.field.subregion': 'Subregion',
+    'sort.field.timezone': 'Time Zone',
+    'sort.distance': 'Distance from Home (choose in country details)',
+    'sort.distanceFrom': 'Distance from {name}',
+
+    'status.dataAsOf': 'Data as of {date}',
+    'status.refreshing': 'Refreshing...',
+    'status.offline': 'Offline, showing saved data',
+    'status.refresh': '🔄 Refresh Data',
+    'status.refreshTitle': 'Reload data from the API',
+    'status.invalidRecords': '{count} invalid records skipped',
+
+    'source.v3': 'REST Countries v3.1',
+    'source.v2': 'REST Countries v2',
+    'source.local': 'Local file',
+
+    'degraded.message': '⚠️ Some data failed to load: {sections}. These sections may be empty.',
+    'degraded.retry': '🔄 Reload These Sections',
+    'section.codes': 'codes & alternate spellings',
+    'section.languages': 'languages',
+    'section.currencies': 'currencies',
+    'section.borders': 'borders',
+    'section.timezones': 'time zones',
+    'section.translations': 'translated names',
+    'section.maps': 'maps',
+    'section.facts': 'additional information',
+    'section.other': 'other',
+
+    'loading.countries': 'Loading country data...',
+    'noResults.title': 'No countries found',
+    'noResults.text': 'Try changing your search or filters to find what you are looking for',
+    'noResults.clear': 'Clear Search',
+
+    'error.title': 'Something Went Wrong',
+    'error.loadFailed': 'Failed to load country data.',
+    'error.checkConnection': 'Check your internet connection.',
+    'error.server': 'Server error. Please try again later.',
+    'error.tryLater': 'Please try again later.',
+    'error.timeout': 'The server took too long to respond.',
+    'error.retry': '🔄 Try Again',
+
+    'common.notAvailable': 'Not available',
+    'common.none': 'None',
+    'common.all': 'All',
+    'common.close': 'Close',
+    'common.yes': 'Yes',
+    'common.no': 'No',
+
+    'unit.people': 'people',
+    'unit.km2': 'km²',
+    'unit.perKm2': 'people/km²',
+
+    'region.Africa': 'Africa',
+    'region.Americas': 'Americas',
+    'region.Antarctic': 'Antarctic',
+    'region.Asia': 'Asia',
+    'region.Europe': 'Europe',
+    'region.Oceania': 'Oceania',
+
+    'filter.toggle': '🎛️ Filters',
+    'filter.toggleCount': '🎛️ Filters ({count})',
+    'filter.title': 'Filter Countries',
+    'filter.reset': 'Reset Filters',
+    'facet.region': 'Region',
+    'facet.subregion': 'Subregion',
+    'facet.language': 'Language',
+    'facet.currency': 'Currency',
+    'facet.borders': 'Borders',
+    'facet.landlocked': 'Landlocked',
+    'facet.noBorders': 'No land borders',
+    'range.population': 'Population',
+    'range.area': 'Area',
+    'range.density': 'Density',
+    'range.noLimit': 'No limit',
+
+    'card.capital': 'Capital',
+    'card.region': 'Region',
+    'card.population': 'Population',
+    'card.localTime': 'Local Time',
+
+    'time.filterTitle': 'Current Local Time',
+    'time.filterHint': 'Show countries where at least one time zone is currently inside this window.',
+    'time.from': 'From',
+    'time.to': 'To',
+    'time.workingHours': 'Working hours (09:00–17:00)',
+    'time.clear': 'Clear',
+    'time.zoneCount': '{count} zones',
+
+    'pagination.first': '« First',
+    'pagination.previous': '← Previous',
+    'pagination.next': 'Next →',
+    'pagination.last': 'Last »',
+    'pagination.summary': 'Showing {start}–{end} of {total} countries',
+    'pagination.jump': 'Go to page',
+    'pagination.of': 'of {total}',
+    'pagination.scrollCount': 'Showing all {count} countries',
+
+    'display.label': 'Display mode',
+    'display.pages': '📄 Paginated',
+    'display.scroll': '📜 Infinite Scroll',
+    'display.pageSizeLabel': 'Cards per page',
+    'display.pageSize': '{count} per page',
+
+    'group.label': 'Group countries',
+    'group.none': '🗂️ No Grouping',
+    'group.region': 'Group: Region',
+    'group.subregion': 'Group: Subregion',
+    'group.language': 'Group: Main Language',
+    'group.currency': 'Group: Main Currency',
+    'group.population': 'Group: Population Band',
+    'group.summary': '{count} groups',
+    'group.totals': '{count} countries · {population} people · {area} km²',
+    'group.expandAll': 'Expand all',
+    'group.collapseAll': 'Collapse all',
+    'group.unknown': 'Unknown',
+    'group.band.below': 'Under {value}',
+    'group.band.above': '{value} and above',
+
+    'modal.flagAlt': 'Flag of {name}',
+    'modal.capital': 'Capital',
+    'modal.location': 'Location',
+    'modal.region': 'Region',
+    'modal.subregion': 'Subregion',
+    'modal.continents': 'Continents',
+    'modal.population': 'Population',
+    'modal.area': 'Area',
+    'modal.timezones': 'Time Zones',
+    'modal.languages': 'Languages',
+    'modal.currencies': 'Currencies',
+    'modal.neighbors': 'Neighboring Countries',
+    'modal.neighborsTotal': 'Total: {count} neighboring countries',
+    'modal.map': '🗺️ Map',
+    'modal.mapCapital': '🗺️ Map (Capital)',
+    'modal.additionalInfo': 'Additional Information',
+    'modal.countryCode': 'Country Code',
+    'modal.fifa': 'FIFA Code',
+    'modal.tld': 'TLD',
+    'modal.callingCode': 'Calling Code',
+    'modal.drivingSide': 'Driving Side',
+    'modal.drivingSide.left': 'Left',
+    'modal.drivingSide.right': 'Right',
+    'modal.unMember': 'UN Member',
+    'modal.independent': 'Independent',
+    'modal.landlocked': 'Landlocked',
+    'modal.gini': 'Gini Index',
+    'modal.startOfWeek': 'Start of Week',
+    'weekday.monday': 'Monday',
+    'weekday.sunday': 'Sunday',
+    'weekday.saturday': 'Saturday',
+    'modal.errorTitle': 'Failed to Load Details',
+    'modal.errorText': 'Could not load country details. Please try again.',
+
+    'route.title': '🧭 Land Route',
+    'route.from': 'From {name} to',
+    'route.find': 'Find Route',
+    'route.within': 'Countries within',
+    'route.hopsUnit': 'border crossings',
+    'route.show': 'Show',
+    'route.none': 'No land route.',
+    'route.noBorders': '{names} has no land borders.',
+    'route.and': ' and ',
+    'route.disconnected': 'The two countries are on landmasses that are not connected.',
+    'route.crossings': '{count} border crossings',
+    'route.hopGroup': '{hops} crossings ({count})',
+    'route.isolated': 'This country has no land borders.',
+
+    'distance.title': '📏 Distance',
+    'distance.setHome': '🏠 Set as home country',
+    'distance.clearHome': 'Clear home country',
+    'distance.isHome': 'This is your home country.',
+    'distance.home': 'Home country: {name} ({distance})',
+    'distance.nearest': 'Nearest countries:',
+    'distance.between': 'Distance from {name} to',
+    'distance.measure': 'Measure',
+    'distance.centroid': 'Centroid to centroid',
+    'distance.capital': 'Capital to capital',
+    'distance.noLocation': 'Coordinates are not available for this country.',
+    'distance.fromHome': '{distance} from {name}',
+
+    'quiz.button': '🎓 Quiz',
+    'quiz.title': '🎓 Country Quiz',
+    'quiz.gameType': 'Game type',
+    'quiz.type.flag': 'Guess the country from the flag',
+    'quiz.type.capital': 'Match the capital to the country',
+    'quiz.type.population': 'Which has the larger population?',
+    'quiz.region': 'Region',
+    'quiz.allRegions': 'All regions',
+    'quiz.difficulty': 'Difficulty',
+    'quiz.difficulty.easy': 'Easy',
+    'quiz.difficulty.medium': 'Medium',
+    'quiz.difficulty.hard': 'Hard',
+    'quiz.start': 'Start',
+    'quiz.notEnough': 'There are not enough countries in this region for that game. Pick another region.',
+    'quiz.noHistory': 'No games of this type yet.',
+    'quiz.history': 'Score history (best: {best})',
+    'quiz.historyRow': '{correct}/{total} correct · {score} points',
+    'quiz.prompt.flag': 'Which country does this flag belong to?',
+    'quiz.prompt.capital': '{capital} is the capital of which country?',
+    'quiz.prompt.population': 'Which country has the larger population?',
+    'quiz.progress': 'Question {current} of {total}',
+    'quiz.score': 'Score: {score}',
+    'quiz.streak': 'Streak: {streak}',
+    'quiz.correct': '✅ Correct!',
+    'quiz.wrong': '❌ Wrong. The answer is {answer}',
+    'quiz.next': 'Next',
+    'quiz.finish': 'See results',
+    'quiz.summary': '{correct} of {total} correct · best streak {streak}',
+    'quiz.review.title': 'Missed answers',
+    'quiz.review.hint': 'Click a country to open its details.',
+    'quiz.review.answer': 'Answer',
+    'quiz.review.yours': 'Your answer',
+    'quiz.perfect': '🏆 Perfect! Every answer was right.',
+    'quiz.playAgain': 'Play again',
+    'quiz.changeGame': 'Change game',
+
+    'browse.button': '🔤 Languages & Currencies',
+    'browse.title': '🔤 Language & Currency Index',
+    'browse.languages': 'Languages',
+    'browse.currencies': 'Currencies',
+    'browse.searchPlaceholder': 'Search name, code or country...',
+    'browse.sort.countries': 'Most countries',
+    'browse.sort.population': 'Largest population',
+    'browse.sort.name': 'Name A-Z',
+    'browse.summary.languages': '{count} languages',
+    'browse.summary.currencies': '{count} currencies',
+    'browse.totals': '{count} countries · {population} people',
+    'browse.noResults': 'Nothing matches this search.',
+
+    'compare.add': 'Add to comparison',
+    'compare.remove': 'Remove from comparison',
+    'compare.max': 'You can compare up to {max} countries',
+    'compare.button': '⚖️ Compare',
+    'compare.open': '⚖️ Compare ({count}/{max})',
+    'compare.pickMin': 'Pick at least {min} countries',
+    'compare.clear': 'Clear',
+    'compare.title': '⚖️ Country Comparison',
+    'compare.removeShort': 'Remove',
+    'compare.highest': '▲ highest',
+    'compare.lowest': '▼ lowest',
+    'compare.shared': 'In Common',
+    'compare.nothingShared': 'No shared languages, currencies or neighbors.',
+
+    'export.button': '⬇️ Export',
+    'export.title': '⬇️ Export Data',
+    'export.format': 'Format',
+    'export.columns': 'Columns',
+    'export.download': 'Download',
+    'export.summary': '{count} countries from the current search and filters will be exported.',
+    'export.noColumns': 'Pick at least one column to export.',
+    'export.skipped': '{count} countries without coordinates were left out of the GeoJSON.',
+    'export.filePrefix': 'countries',
+    'export.col.name': 'Name',
+    'export.col.officialName': 'Official Name',
+    'export.col.cca3': 'Code (cca3)',
+    'export.col.capital': 'Capital',
+    'export.col.region': 'Region',
+    'export.col.subregion': 'Subregion',
+    'export.col.population': 'Population',
+    'export.col.area': 'Area (km²)',
+    'export.col.density': 'Density',
+    'export.col.languages': 'Languages',
+    'export.col.currencies': 'Currencies',
+    'export.col.borders': 'Borders',
+    'export.col.lat': 'Latitude',
+    'export.col.lng': 'Longitude',
+
+    'collections.default': 'My Favorites',
+    'collections.active': 'Active favorite collection',
+    'collections.manage': 'Manage collections',
+    'collections.title': '📁 Manage Favorite Collections',
+    'collections.newPlaceholder': 'New collection name, e.g. Travel 2027',
+    'collections.create': 'Create',
+    'collections.exportAll': '⬇️ Export All (JSON)',
+    'collections.import': '⬆️ Import JSON',
+    'collections.note': '📝 Notes',
+    'collections.noteFor': '📝 Notes · {name}',
+    'collections.addToWrite': 'Add this country to the {name} collection (❤️) to write notes and tags.',
+    'collections.notePlaceholder': 'Write a note...',
+    'collections.tagsPlaceholder': 'Tags, separated by commas',
+    'collections.countryCount': '{count} countries',
+    'collections.exportOne': 'Export this collection',
+    'collections.delete': 'Delete collection',
+    'collections.emptyName': 'Collection name cannot be empty.',
+    'collections.created': 'Collection "{name}" created.',
+    'collections.confirmDelete': 'Delete collection "{name}"?',
+    'collections.importDone': 'Import complete: {created} new collections, {merged} merged, {countries} countries.',
+    'collections.importInvalid': 'Invalid file. Use a file exported from collections.',
+    'collections.filePrefix': 'favorite-collections',
+
+    'travel.filterLabel': 'Filter by travel status',
+    'travel.filter.all': '🧳 All Statuses',
+    'travel.filter.visited': '✈️ Visited',
+    'travel.filter.lived': '🏠 Lived In',
+    'travel.filter.want': '🎯 Want to Visit',
+    'travel.filter.none': 'Not Marked',
+    'travel.title': '🧳 Travel Progress',
+    'travel.modalTitle': '🧳 Travel Status',
+    'travel.statusLabel': 'Travel status',
+    'travel.status.none': 'Travel status…',
+    'travel.status.visited': 'Visited',
+    'travel.status.lived': 'Lived in',
+    'travel.status.want': 'Want to visit',
+    'travel.visitedOn': 'Visited on',
+    'travel.world': 'Whole world',
+    'travel.progressHint': 'Countries you have visited or lived in count as covered.',
+    'travel.column.region': 'Region',
+    'travel.column.countries': 'Countries covered',
+    'travel.column.population': 'Population',
+    'travel.column.area': 'Land area',
+    'travel.export': '⬇️ Export Travel Log (JSON)',
+    'travel.import': '⬆️ Import JSON',
+    'travel.importDone': 'Import complete: {added} new countries, {updated} updated.',
+    'travel.importInvalid': 'Invalid file. Use a file exported from the travel log.',
+    'travel.filePrefix': 'travel-log',
+
+    'footer.description': 'A world country information platform providing complete and reliable data.',
+    'footer.shortcuts': 'Shortcuts: / search · arrow keys move between cards · Enter open details · F favorite · ← → previous/next country in details · Esc close',
+
+    'a11y.grid': 'Country list',
+    'a11y.card': '{name}, capital {capital}, {region}, population {population}',
+    'a11y.results': '{count} countries found'
+  }
+};
+
+// Translate a message key, filling {placeholders} from params.
+// Falls back to the default language and finally to the key itself.
+function t(key, params = {}) {
+  const catalog = MESSAGES[currentLanguage] || MESSAGES[DEFAULT_LANGUAGE];
+  let message = catalog[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+
+  Object.keys(params).forEach(name => {
+    message = message.split(`{${name}}`).join(params[name]);
+  });
+  return message;
+}
+
+// BCP 47 locale for number and date formatting
+function getLocale() {
+  return LANGUAGES[currentLanguage].locale;
+}
+
+// Translate static markup: data-i18n (text), data-i18n-placeholder and data-i18n-title
+function applyStaticTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+    element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+  });
+
+  document.documentElement.lang = currentLanguage;
+  document.title = t('app.title');
+}
+
+// Load the saved UI language (falls back to the browser language, then Indonesian)
+function loadLanguagePreference() {
+  try {
+    const savedLanguage = localStorage.getItem('uiLanguage');
+    if (Object.hasOwn(LANGUAGES, savedLanguage)) {
+      currentLanguage = savedLanguage;
+      return;
+    }
+  } catch (error) {
+    console.error('Error loading language preference:', error);
+  }
+
+  const browserLanguage = (navigator.language || '').slice(0, 2);
+  currentLanguage = Object.hasOwn(LANGUAGES, browserLanguage) ? browserLanguage : DEFAULT_LANGUAGE;
+}
+
+// Save the UI language
+function saveLanguagePreference() {
+  try {
+    localStorage.setItem('uiLanguage', currentLanguage);
+  } catch (error) {
+    console.error('Error saving language preference:', error);
+  }
+}
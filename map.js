@@ -0,0 +1,265 @@
+// REST Countries Explorer - World Map
+// Offline SVG map of country outlines (Natural Earth 1:110m via world-atlas, bundled as
+// data/world-110m.json and keyed by cca3) on an equirectangular projection, colored by
+// the chosen metric. Countries too small for the outline data are drawn as markers.
+
+const MAP_WIDTH = 1000;
+const MAP_HEIGHT = 500;
+const MAP_SHAPES_URL = 'data/world-110m.json';
+const MAP_MARKER_RADIUS = 3;       // Keeps countries without an outline visible and clickable
+const MAP_CLASS_COLORS = ['#dbeafe', '#93c5fd', '#3b82f6', '#1d4ed8', '#1e3a8a'];
+const MAP_NO_DATA_COLOR = '#d1d5db';
+const PREVIEW_TILE_ZOOM = 4;        // One 256px OpenStreetMap tile per card preview
+const PREVIEW_MAX_LATITUDE = 85.0511; // Web Mercator tiles stop here
+const REGION_COLORS = {
+  Africa: '#f59e0b',
+  Americas: '#10b981',
+  Antarctic: '#94a3b8',
+  Asia: '#ef4444',
+  Europe: '#3b82f6',
+  Oceania: '#8b5cf6'
+};
+
+let mapShapesPromise = null; // Outline paths by cca3, loaded on first use
+
+// Metrics the map can be colored by: numeric ones are split into quantile classes,
+// categorical ones map each category to a fixed color
+const MAP_METRICS = {
+  population: {
+    labelKey: 'map.metric.population',
+    getValue: country => country.population ?? null,
+    format: value => `${formatCompactNumber(value)} ${t('unit.people')}`
+  },
+  area: {
+    labelKey: 'map.metric.area',
+    getValue: country => country.area || null,
+    format: value => `${formatCompactNumber(value)} ${t('unit.km2')}`
+  },
+  density: {
+    labelKey: 'map.metric.density',
+    getValue: country => getPopulationDensity(country),
+    format: value => `${formatNumber(Math.round(value * 10) / 10)} ${t('unit.perKm2')}`
+  },
+  region: {
+    labelKey: 'map.metric.region',
+    getCategory: country => country.region || null,
+    colors: REGION_COLORS,
+    formatCategory: region => translateRegion(region)
+  },
+  favorite: {
+    labelKey: 'map.metric.favorite',
+    getCategory: country => favorites.includes(country.cca3) ? 'favorite' : 'other',
+    colors: { favorite: '#ef4444', other: '#cbd5e1' },
+    formatCategory: category => t(`map.favorite.${category}`)
+  }
+};
+
+// Map coordinates of a latitude/longitude
+function projectPoint(lat, lng) {
+  return [(lng + 180) / 360 * MAP_WIDTH, (90 - lat) / 180 * MAP_HEIGHT];
+}
+
+// SVG path of a GeoJSON Polygon or MultiPolygon (holes are cut out by the evenodd fill rule)
+function getShapePath(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.flat().map(ring => `M${ring.map(([lng, lat]) =>
+    projectPoint(lat, lng).map(value => value.toFixed(1)).join(',')
+  ).join('L')}Z`).join('');
+}
+
+// Outline paths of the bundled shapes file by cca3. A failed load is retried on the next
+// render; until then every country is drawn as a marker.
+function loadMapShapes() {
+  if (!mapShapesPromise) {
+    mapShapesPromise = fetch(MAP_SHAPES_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(data => new Map(data.features.map(feature => [feature.id, getShapePath(feature.geometry)])))
+      .catch(error => {
+        console.error('Error loading map shapes:', error);
+        mapShapesPromise = null;
+        return new Map();
+      });
+  }
+  return mapShapesPromise;
+}
+
+// Web Mercator tile holding a latitude/longitude, with the point's position inside it (0-1)
+function getPreviewTile(lat, lng) {
+  const scale = 2 ** PREVIEW_TILE_ZOOM;
+  const clampedLat = Math.max(-PREVIEW_MAX_LATITUDE, Math.min(PREVIEW_MAX_LATITUDE, lat)) * Math.PI / 180;
+  const x = (lng + 180) / 360 * scale;
+  const y = (1 - Math.log(Math.tan(clampedLat) + 1 / Math.cos(clampedLat)) / Math.PI) / 2 * scale;
+  const tileX = Math.min(scale - 1, Math.floor(x));
+  const tileY = Math.min(scale - 1, Math.floor(y));
+  return { x: tileX, y: tileY, offsetX: x - tileX, offsetY: y - tileY };
+}
+
+// Static card preview: a single lazily loaded map tile with a marker. object-position uses the
+// marker's position in the tile, so the cropped image keeps the marker at the same spot.
+function renderMapPreview(lat, lng) {
+  const tile = getPreviewTile(lat, lng);
+  const left = (tile.offsetX * 100).toFixed(1);
+  const top = (tile.offsetY * 100).toFixed(1);
+
+  return `
+    <div class="map-preview mt-3">
+      <img
+        src="https://tile.openstreetmap.org/${PREVIEW_TILE_ZOOM}/${tile.x}/${tile.y}.png"
+        alt=""
+        class="map-preview-tile"
+        style="object-position: ${left}% ${top}%"
+        loading="lazy"
+        decoding="async"
+      >
+      <span class="map-preview-marker" style="left: ${left}%; top: ${top}%"></span>
+      <span class="map-preview-credit">© OpenStreetMap</span>
+    </div>
+  `;
+}
+
+// Upper bounds splitting sorted values into equally sized classes
+function getQuantileBreaks(values, classes) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const breaks = [];
+  for (let i = 1; i < classes; i++) {
+    breaks.push(sorted[Math.floor(i / classes * sorted.length)]);
+  }
+  return [...new Set(breaks)];
+}
+
+// Color function and legend for a metric. Classes come from the whole dataset,
+// so a country keeps its color while search and filters change.
+function getMapColorScale(metric, countries) {
+  if (metric.getCategory) {
+    const present = new Set(countries.map(metric.getCategory));
+    return {
+      getColor: country => metric.colors[metric.getCategory(country)] || MAP_NO_DATA_COLOR,
+      legend: Object.keys(metric.colors)
+        .filter(category => present.has(category))
+        .map(category => ({ color: metric.colors[category], label: metric.formatCategory(category) }))
+    };
+  }
+
+  const values = countries.map(metric.getValue).filter(value => typeof value === 'number');
+  const breaks = getQuantileBreaks(values, MAP_CLASS_COLORS.length);
+  const colors = MAP_CLASS_COLORS.slice(MAP_CLASS_COLORS.length - breaks.length - 1);
+  const getClass = value => breaks.filter(limit => value >= limit).length;
+
+  const legend = colors.map((color, index) => {
+    let label;
+    if (breaks.length === 0) label = values.length > 0 ? metric.format(values[0]) : t('common.notAvailable');
+    else if (index === 0) label = `< ${metric.format(breaks[0])}`;
+    else if (index === breaks.length) label = `≥ ${metric.format(breaks[index - 1])}`;
+    else label = `${metric.format(breaks[index - 1])} – ${metric.format(breaks[index])}`;
+    return { color, label };
+  });
+  legend.push({ color: MAP_NO_DATA_COLOR, label: t('map.noData') });
+
+  return {
+    getColor: country => {
+      const value = metric.getValue(country);
+      return typeof value === 'number' ? colors[getClass(value)] : MAP_NO_DATA_COLOR;
+    },
+    legend
+  };
+}
+
+// Latitude/longitude lines every 30 degrees
+function renderMapGraticule() {
+  const lines = [];
+  for (let lng = -150; lng <= 150; lng += 30) {
+    const [x] = projectPoint(0, lng);
+    lines.push(`<line x1="${x}" y1="0" x2="${x}" y2="${MAP_HEIGHT}"></line>`);
+  }
+  for (let lat = -60; lat <= 60; lat += 30) {
+    const [, y] = projectPoint(lat, 0);
+    lines.push(`<line x1="0" y1="${y}" x2="${MAP_WIDTH}" y2="${y}"></line>`);
+  }
+  return `<g class="map-graticule">${lines.join('')}</g>`;
+}
+
+// Draw every country, dimming the ones the current search and filters leave out
+async function renderWorldMap(countries) {
+  const paths = await loadMapShapes();
+  mapShapesNotice.classList.toggle('hidden', paths.size > 0);
+  const metric = MAP_METRICS[mapMetric];
+  const scale = getMapColorScale(metric, allCountries);
+  const matched = new Set(countries.map(country => country.cca3));
+
+  // Matches on top of dimmed countries, markers on top of outlines
+  const shapes = allCountries
+    .map(country => ({ country, path: paths.get(country.cca3), isMatch: matched.has(country.cca3) }))
+    .filter(({ country, path }) => path || (Array.isArray(country.latlng) && country.latlng.length === 2))
+    .sort((a, b) => a.isMatch - b.isMatch || !a.path - !b.path)
+    .map(({ country, path, isMatch }) => {
+      const attributes = `class="map-country${isMatch ? '' : ' map-dimmed'}" data-country-code="${escapeHTML(country.cca3)}" fill="${scale.getColor(country)}"`;
+      if (path) return `<path ${attributes} d="${path}"></path>`;
+
+      const [x, y] = projectPoint(Number(country.latlng[0]), Number(country.latlng[1]));
+      return `<circle ${attributes} cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${MAP_MARKER_RADIUS}"></circle>`;
+    });
+
+  mapSummary.textContent = t('map.summary', { count: formatNumber(matched.size), total: formatNumber(allCountries.length) });
+  mapLegend.innerHTML = scale.legend.map(item => `
+    <span class="map-legend-item"><span class="map-legend-swatch" style="background: ${item.color}"></span>${escapeHTML(item.label)}</span>
+  `).join('');
+  mapCanvas.innerHTML = `
+    <svg class="world-map" viewBox="0 0 ${MAP_WIDTH} ${MAP_HEIGHT}" role="img" aria-label="${t('map.aria', { metric: t(metric.labelKey) })}">
+      <rect class="map-ocean" width="${MAP_WIDTH}" height="${MAP_HEIGHT}"></rect>
+      ${renderMapGraticule()}
+      <g>${shapes.join('')}</g>
+    </svg>
+  `;
+}
+
+// Re-render the map when its panel is open
+function renderMap(countries) {
+  if (!mapPanel.classList.contains('hidden')) {
+    renderWorldMap(countries);
+  }
+}
+
+// Tooltip with the country name and its value for the current metric
+function showMapTooltip(event) {
+  const shape = event.target.closest('.map-country');
+  if (!shape) {
+    mapTooltip.classList.add('hidden');
+    return;
+  }
+
+  const country = getCountryByCode(shape.dataset.countryCode);
+  if (!country) return;
+
+  const metric = MAP_METRICS[mapMetric];
+  let value;
+  if (metric.getCategory) {
+    const category = metric.getCategory(country);
+    value = category ? metric.formatCategory(category) : t('map.noData');
+  } else {
+    const number = metric.getValue(country);
+    value = typeof number === 'number' ? metric.format(number) : t('map.noData');
+  }
+
+  mapTooltip.innerHTML = `
+    <div class="font-semibold">${escapeHTML(getCountryName(country))}</div>
+    <div>${t(metric.labelKey)}: ${escapeHTML(value)}</div>
+    ${shape.classList.contains('map-dimmed') ? `<div class="text-gray-300">${t('map.notMatched')}</div>` : ''}
+  `;
+
+  const bounds = mapCanvas.getBoundingClientRect();
+  mapTooltip.style.left = `${event.clientX - bounds.left + 12}px`;
+  mapTooltip.style.top = `${event.clientY - bounds.top + 12}px`;
+  mapTooltip.classList.remove('hidden');
+}
+
+// Open the clicked country in the modal
+function handleMapClick(event) {
+  const shape = event.target.closest('.map-country');
+  if (shape) {
+    mapTooltip.classList.add('hidden');
+    openModal(shape.dataset.countryCode);
+  }
+}
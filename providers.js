@@ -0,0 +1,455 @@
+// REST Countries Explorer - Data providers
+// Each provider loads raw records from one source and maps them into the internal country
+// schema below. Records are validated after mapping; invalid ones are left out and reported.
+// Requests time out, retry with exponential backoff and can be cancelled with an AbortSignal.
+//
+// Internal country schema:
+//   cca3, cca2        ISO 3166-1 alpha-3 (required) and alpha-2 codes
+//   name              { common, official, nativeName: { [lang]: { common, official } } }
+//   altSpellings      string[]
+//   capital           string[]
+//   capitalInfo       { latlng: [lat, lng] } or null
+//   region, subregion string (subregion may be null)
+//   continents        string[]
+//   population        number or null
+//   area              number (km²) or null
+//   latlng            [lat, lng] or null
+//   landlocked        boolean or null (unknown)
+//   borders           cca3 codes of land neighbors
+//   languages         { [code]: name }
+//   currencies        { [code]: { name, symbol } }
+//   timezones         string[]
+//   flags             { png, svg, alt }
+//   maps              { googleMaps, openStreetMaps }
+//   translations      { [lang]: { common, official } }
+//   tld               string[]
+//   fifa              string or null
+//   callingCodes      string[] such as "+62"
+//   drivingSide       "left", "right" or null
+//   unMember          boolean or null (unknown)
+//   independent       boolean or null (unknown)
+//   gini              { year, value } (latest) or null
+//   startOfWeek       "monday", "sunday", "saturday" or null
+
+const LOCAL_DATA_URL = 'data/countries.json';
+
+// Registered sources. Select one with ?source=<key> in the page URL.
+// load(options) resolves to { records, missingFields }; loadFields(fields, options), when present,
+// re-requests only the given fields so a partially loaded dataset can be completed.
+const DATA_PROVIDERS = {
+  v3: { labelKey: 'source.v3', load: loadRestCountriesV3, loadFields: fetchV3Fields, normalize: normalizeV3Country },
+  v2: { labelKey: 'source.v2', load: loadRestCountriesV2, normalize: normalizeV2Country },
+  local: { labelKey: 'source.local', load: loadLocalCountries, normalize: normalizeV3Country }
+};
+
+// Request timeout and retry policy
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_FETCH_RETRIES = 2;          // Retries after the first attempt
+const RETRY_BASE_DELAY_MS = 500;      // Doubles on every retry
+
+// Sources tried in order when no source is requested
+const DEFAULT_PROVIDER_CHAIN = ['v3', 'v2'];
+
+// v3.1 fields to load. The /all endpoint rejects requests with more than
+// MAX_FIELDS_PER_REQUEST fields, so the list is split into batches; the first
+// batch holds what the grid needs and is the only one that must succeed.
+const V3_FIELDS = [
+  'name', 'flags', 'capital', 'region', 'subregion', 'population', 'continents', 'area', 'latlng',
+  'cca2', 'altSpellings', 'languages', 'currencies', 'borders', 'timezones', 'landlocked', 'translations',
+  'capitalInfo', 'maps', 'tld', 'fifa', 'idd', 'car', 'unMember', 'independent', 'gini', 'startOfWeek'
+];
+const MAX_FIELDS_PER_REQUEST = 10;
+
+// Calling codes with more suffixes than this are shown as the root only (e.g. "+1")
+const MAX_CALLING_CODE_SUFFIXES = 3;
+
+// v2 uses "Polar" for what v3.1 calls "Antarctic"
+const V2_REGION_NAMES = { Polar: 'Antarctic' };
+
+// Error thrown when a request or wait is cancelled through its AbortSignal
+function createAbortError() {
+  const error = new Error('The request was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Fetch a JSON array, throwing on HTTP errors, unexpected payloads and timeouts
+// (error.name === 'TimeoutError'). options.signal cancels the request.
+async function fetchJSON(url, options = {}) {
+  const timeout = options.timeout || REQUEST_TIMEOUT_MS;
+  const controller = new AbortController();
+  const abortFromCaller = () => controller.abort();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  if (options.signal) {
+    if (options.signal.aborted) controller.abort();
+    options.signal.addEventListener('abort', abortFromCaller);
+  }
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data)) {
+      throw new Error('Invalid data format received from API');
+    }
+    return data;
+  } catch (error) {
+    if (timedOut) {
+      const timeoutError = new Error(`Request timed out after ${timeout} ms: ${url}`);
+      timeoutError.name = 'TimeoutError';
+      throw timeoutError;
+    }
+    if (controller.signal.aborted) throw createAbortError();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (options.signal) options.signal.removeEventListener('abort', abortFromCaller);
+  }
+}
+
+// Network failures, timeouts, 5xx, 408 and 429 are worth another attempt
+function isRetryableError(error) {
+  if (error.name === 'AbortError') return false;
+  if (error.status) return error.status >= 500 || error.status === 408 || error.status === 429;
+  return error.name === 'TimeoutError' || error.name === 'TypeError';
+}
+
+// Resolve after ms, or reject early when the signal aborts
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      }, { once: true });
+    }
+  });
+}
+
+// fetchJSON with automatic retries and exponential backoff
+async function fetchJSONWithRetry(url, options = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchJSON(url, options);
+    } catch (error) {
+      if (attempt >= MAX_FETCH_RETRIES || !isRetryableError(error)) throw error;
+
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.warn(`Request failed (${error.message}), retrying in ${delay} ms: ${url}`);
+      await wait(delay, options.signal);
+    }
+  }
+}
+
+// Split a field list into batches that fit the per-request limit. Every batch
+// also asks for the merge key, which counts towards the limit.
+function planFieldBatches(fields, maxFields = MAX_FIELDS_PER_REQUEST, key = 'cca3') {
+  const otherFields = [...new Set(fields)].filter(field => field !== key);
+  const batches = [];
+
+  for (let i = 0; i < otherFields.length; i += maxFields - 1) {
+    batches.push([key, ...otherFields.slice(i, i + maxFields - 1)]);
+  }
+  return batches.length > 0 ? batches : [[key]];
+}
+
+// Request v3.1 fields in batches and merge them by cca3. When baseRecords is given the
+// fields are merged into copies of those records, otherwise the first batch is required
+// and becomes the base. Resolves to { records, missingFields } listing fields of failed batches.
+async function fetchV3Fields(fields, options = {}, baseRecords = null) {
+  const batches = planFieldBatches(fields);
+  const results = await Promise.allSettled(
+    batches.map(batch => fetchJSONWithRetry(`https://restcountries.com/v3.1/all?fields=${batch.join(',')}`, options))
+  );
+
+  if (options.signal && options.signal.aborted) throw createAbortError();
+
+  let optionalResults = results;
+  let recordsByCode;
+  if (baseRecords) {
+    recordsByCode = new Map(baseRecords.map(record => [record.cca3, { ...record }]));
+  } else {
+    if (results[0].status === 'rejected') throw results[0].reason;
+    recordsByCode = new Map(results[0].value.map(record => [record.cca3, { ...record }]));
+    optionalResults = results.slice(1);
+  }
+
+  const missingFields = [];
+  const firstOptional = results.length - optionalResults.length;
+  optionalResults.forEach((result, index) => {
+    const batch = batches[firstOptional + index];
+    if (result.status === 'rejected') {
+      console.warn(`Failed to fetch fields ${batch.join(',')}:`, result.reason);
+      missingFields.push(...batch.filter(field => field !== 'cca3'));
+      return;
+    }
+    result.value.forEach(record => {
+      const merged = recordsByCode.get(record.cca3);
+      if (merged) Object.assign(merged, record);
+    });
+  });
+
+  return { records: [...recordsByCode.values()], missingFields };
+}
+
+// REST Countries v3.1 with every field in V3_FIELDS
+async function loadRestCountriesV3(options = {}) {
+  return fetchV3Fields(V3_FIELDS, options);
+}
+
+// "+6" with suffixes ["2"] becomes ["+62"]
+function getCallingCodes(idd) {
+  if (!idd || !idd.root) return [];
+  const suffixes = idd.suffixes || [];
+  if (suffixes.length === 0 || suffixes.length > MAX_CALLING_CODE_SUFFIXES) return [idd.root];
+  return suffixes.map(suffix => idd.root + suffix);
+}
+
+// Most recent Gini index from a { year: value } map
+function getLatestGini(gini) {
+  const years = Object.keys(gini || {}).sort();
+  if (years.length === 0) return null;
+  const year = years[years.length - 1];
+  return { year: Number(year), value: gini[year] };
+}
+
+// REST Countries v2 (legacy fallback)
+async function loadRestCountriesV2(options = {}) {
+  return { records: await fetchJSONWithRetry('https://restcountries.com/v2/all', options), missingFields: [] };
+}
+
+// Bundled fixture file (v3.1 shape)
+async function loadLocalCountries(options = {}) {
+  return { records: await fetchJSON(LOCAL_DATA_URL, options), missingFields: [] };
+}
+
+// Map a v3.1 record (API or local file) into the internal schema
+function normalizeV3Country(record) {
+  const name = record.name || {};
+
+  return {
+    cca3: record.cca3,
+    cca2: record.cca2 || null,
+    name: {
+      common: name.common,
+      official: name.official || name.common,
+      nativeName: name.nativeName || {}
+    },
+    altSpellings: record.altSpellings || [],
+    capital: record.capital || [],
+    capitalInfo: record.capitalInfo && record.capitalInfo.latlng ? { latlng: record.capitalInfo.latlng } : null,
+    region: record.region,
+    subregion: record.subregion || null,
+    continents: record.continents || [],
+    population: record.population ?? null,
+    area: record.area || null,
+    latlng: record.latlng && record.latlng.length === 2 ? record.latlng : null,
+    landlocked: typeof record.landlocked === 'boolean' ? record.landlocked : null,
+    borders: record.borders || [],
+    languages: record.languages || {},
+    currencies: record.currencies || {},
+    timezones: record.timezones || [],
+    flags: {
+      png: record.flags && record.flags.png,
+      svg: (record.flags && record.flags.svg) || null,
+      alt: (record.flags && record.flags.alt) || null
+    },
+    maps: record.maps || { googleMaps: null, openStreetMaps: null },
+    translations: record.translations || {},
+    tld: record.tld || [],
+    fifa: record.fifa || null,
+    callingCodes: getCallingCodes(record.idd),
+    drivingSide: (record.car && record.car.side) || null,
+    unMember: typeof record.unMember === 'boolean' ? record.unMember : null,
+    independent: typeof record.independent === 'boolean' ? record.independent : null,
+    gini: getLatestGini(record.gini),
+    startOfWeek: record.startOfWeek || null
+  };
+}
+
+// Map a v2 record into the internal schema (v2 uses flat names, string capitals and
+// arrays of language/currency objects)
+function normalizeV2Country(record) {
+  const languages = {};
+  (record.languages || []).forEach(language => {
+    const code = language.iso639_2 || language.iso639_1;
+    if (code) languages[code] = language.name;
+  });
+
+  const currencies = {};
+  (record.currencies || []).forEach(currency => {
+    if (currency.code) currencies[currency.code] = { name: currency.name, symbol: currency.symbol };
+  });
+
+  // v2 translations are plain strings keyed by two-letter language code
+  const translations = {};
+  Object.entries(record.translations || {}).forEach(([key, value]) => {
+    if (typeof value === 'string') translations[key] = { common: value, official: value };
+  });
+
+  const region = V2_REGION_NAMES[record.region] || record.region;
+  const firstLanguage = Object.keys(languages)[0];
+  const nativeName = record.nativeName && firstLanguage
+    ? { [firstLanguage]: { common: record.nativeName, official: record.nativeName } }
+    : {};
+
+  return {
+    cca3: record.alpha3Code,
+    cca2: record.alpha2Code || null,
+    name: { common: record.name, official: record.name, nativeName },
+    altSpellings: record.altSpellings || [],
+    capital: record.capital ? [record.capital] : [],
+    capitalInfo: null,
+    region,
+    subregion: record.subregion || null,
+    continents: record.continent ? [record.continent] : (region ? [region] : []),
+    population: record.population ?? null,
+    area: record.area || null,
+    latlng: record.latlng && record.latlng.length === 2 ? record.latlng : null,
+    landlocked: null,
+    borders: record.borders || [],
+    languages,
+    currencies,
+    timezones: record.timezones || [],
+    flags: {
+      png: (record.flags && record.flags.png) || record.flag,
+      svg: (record.flags && record.flags.svg) || record.flag || null,
+      alt: null
+    },
+    maps: { googleMaps: null, openStreetMaps: null },
+    translations,
+    tld: record.topLevelDomain || [],
+    fifa: null,
+    callingCodes: (record.callingCodes || []).filter(Boolean).map(code => `+${code}`),
+    drivingSide: null,
+    unMember: null,
+    independent: typeof record.independent === 'boolean' ? record.independent : null,
+    gini: typeof record.gini === 'number' ? { year: null, value: record.gini } : null,
+    startOfWeek: null
+  };
+}
+
+// List what is wrong with a normalized country (empty when valid)
+function validateCountry(country) {
+  const problems = [];
+  const isCode = (value, length) => typeof value === 'string' && new RegExp(`^[A-Z]{${length}}$`).test(value);
+  const isNumberOrNull = value => value === null || (typeof value === 'number' && isFinite(value) && value >= 0);
+
+  if (!isCode(country.cca3, 3)) problems.push('cca3 must be three uppercase letters');
+  if (country.cca2 !== null && !isCode(country.cca2, 2)) problems.push('cca2 must be two uppercase letters');
+  if (typeof country.name.common !== 'string' || !country.name.common.trim()) problems.push('name.common is missing');
+  if (typeof country.region !== 'string' || !country.region) problems.push('region is missing');
+  if (!isNumberOrNull(country.population)) problems.push('population must be a non-negative number');
+  if (!isNumberOrNull(country.area)) problems.push('area must be a non-negative number');
+  if (country.latlng && !country.latlng.every(value => typeof value === 'number' && isFinite(value))) {
+    problems.push('latlng must be two numbers');
+  }
+  if (!country.borders.every(code => isCode(code, 3))) problems.push('borders must be cca3 codes');
+  if (!Object.values(country.languages).every(name => typeof name === 'string')) problems.push('languages must map codes to names');
+  if (!Object.values(country.currencies).every(currency => currency && typeof currency === 'object')) {
+    problems.push('currencies must map codes to { name, symbol }');
+  }
+  if (typeof country.flags.png !== 'string' || !country.flags.png) problems.push('flags.png is missing');
+
+  return problems;
+}
+
+// Normalize and validate raw records. Returns { countries, invalid: [{ id, problems }] }.
+function normalizeRecords(records, provider) {
+  const countries = [];
+  const invalid = [];
+  const seenCodes = new Set();
+
+  records.forEach((record, index) => {
+    const id = (record && (record.cca3 || record.alpha3Code || (record.name && (record.name.common || record.name)))) || `#${index}`;
+    let country;
+    let problems;
+
+    try {
+      country = provider.normalize(record);
+      problems = validateCountry(country);
+    } catch (error) {
+      problems = [`could not be normalized: ${error.message}`];
+    }
+
+    if (problems.length === 0 && seenCodes.has(country.cca3)) {
+      problems.push('duplicate cca3');
+    }
+
+    if (problems.length > 0) {
+      invalid.push({ id: String(id), problems });
+    } else {
+      seenCodes.add(country.cca3);
+      countries.push(country);
+    }
+  });
+
+  return { countries, invalid };
+}
+
+// Source requested with ?source=<key> (null means the default chain)
+function getRequestedDataSource() {
+  const source = new URLSearchParams(window.location.search).get('source');
+  return Object.hasOwn(DATA_PROVIDERS, source) ? source : null;
+}
+
+// Normalize loaded records into a dataset: { source, records, missingFields, countries, invalid }
+function buildDataset(source, records, missingFields) {
+  const result = normalizeRecords(records, DATA_PROVIDERS[source]);
+
+  if (result.invalid.length > 0) {
+    console.warn(`${result.invalid.length} record(s) from ${source} failed validation and were skipped:`, result.invalid);
+  }
+  if (result.countries.length === 0) {
+    throw new Error('Invalid data format received from API');
+  }
+  return { source, records, missingFields, ...result };
+}
+
+// Load countries from the requested source, or from the default chain with fallback.
+// options.signal cancels the load; cancellation is never treated as a reason to fall back.
+async function loadCountriesFromProviders(requestedSource = null, options = {}) {
+  const chain = requestedSource ? [requestedSource] : DEFAULT_PROVIDER_CHAIN;
+  let lastError = null;
+
+  for (const source of chain) {
+    const provider = DATA_PROVIDERS[source];
+    try {
+      console.log(`Loading countries from ${t(provider.labelKey)}...`);
+      const { records, missingFields } = await provider.load(options);
+      return buildDataset(source, records, missingFields);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn(`Data source ${source} failed:`, error);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+// Re-request only the fields a dataset is missing and rebuild it
+async function loadMissingFields(dataset, options = {}) {
+  const provider = DATA_PROVIDERS[dataset.source];
+  if (!provider.loadFields) {
+    throw new Error(`Data source ${dataset.source} cannot load single fields`);
+  }
+
+  const { records, missingFields } = await provider.loadFields(dataset.missingFields, options, dataset.records);
+  return buildDataset(dataset.source, records, missingFields);
+}
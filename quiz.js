@@ -0,0 +1,306 @@
+// REST Countries Explorer - Quiz
+// Flag, capital and population games built from the loaded countries,
+// with streak scoring, a review of missed answers and per-game score history
+
+const QUIZ_LENGTH = 10;
+const QUIZ_POINTS = 10;            // Points for a correct answer
+const QUIZ_STREAK_BONUS = 2;       // Extra points per answer already in the streak
+const QUIZ_HISTORY_LIMIT = 20;     // Games kept per game type
+
+// Game types and the countries each can ask about
+const QUIZ_TYPES = {
+  flag: {
+    labelKey: 'quiz.type.flag',
+    isPlayable: country => Boolean(country.flags && country.flags.png)
+  },
+  capital: {
+    labelKey: 'quiz.type.capital',
+    isPlayable: country => Boolean(country.capital && country.capital[0])
+  },
+  population: {
+    labelKey: 'quiz.type.population',
+    isPlayable: country => country.population > 0
+  }
+};
+
+// Difficulty: number of answer options, how many of the most populous (best known)
+// countries are used, and how close the populations in a comparison are
+const QUIZ_DIFFICULTIES = {
+  easy: { labelKey: 'quiz.difficulty.easy', options: 3, poolSize: 60, populationRatio: [3, Infinity] },
+  medium: { labelKey: 'quiz.difficulty.medium', options: 4, poolSize: 150, populationRatio: [1.5, 3] },
+  hard: { labelKey: 'quiz.difficulty.hard', options: 6, poolSize: Infinity, populationRatio: [1, 1.5] }
+};
+
+// Copy of a list in random order
+function shuffleArray(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Countries a game can use for a region ('all' for every region) and difficulty
+function getQuizPool(type, region, difficulty) {
+  return allCountries
+    .filter(country => QUIZ_TYPES[type].isPlayable(country))
+    .filter(country => region === 'all' || country.region === region)
+    .sort((a, b) => (b.population || 0) - (a.population || 0))
+    .slice(0, QUIZ_DIFFICULTIES[difficulty].poolSize);
+}
+
+// Population comparison: a pair whose ratio falls in the difficulty's range when possible
+function buildPopulationQuestion(country, pool, difficulty) {
+  const [minRatio, maxRatio] = QUIZ_DIFFICULTIES[difficulty].populationRatio;
+  const others = shuffleArray(pool.filter(other => other.cca3 !== country.cca3));
+  const ratio = other => Math.max(country.population, other.population) / Math.min(country.population, other.population);
+  const rival = others.find(other => ratio(other) >= minRatio && ratio(other) < maxRatio) || others[0];
+
+  const options = shuffleArray([country, rival]);
+  return {
+    type: 'population',
+    options: options.map(option => option.cca3),
+    answer: options[0].population >= options[1].population ? options[0].cca3 : options[1].cca3
+  };
+}
+
+// Flag or capital question: the country plus random wrong options from the pool
+function buildChoiceQuestion(type, country, pool, difficulty) {
+  const count = QUIZ_DIFFICULTIES[difficulty].options;
+  const wrong = shuffleArray(pool.filter(other => {
+    if (other.cca3 === country.cca3) return false;
+    // Two countries sharing a capital name would make the question ambiguous
+    return type !== 'capital' || other.capital[0] !== country.capital[0];
+  })).slice(0, count - 1);
+
+  return {
+    type,
+    subject: country.cca3,
+    options: shuffleArray([country, ...wrong]).map(option => option.cca3),
+    answer: country.cca3
+  };
+}
+
+// New game, or null when the region has too few countries for the difficulty
+function createQuizSession(type, region, difficulty) {
+  const pool = getQuizPool(type, region, difficulty);
+  const needed = type === 'population' ? 2 : QUIZ_DIFFICULTIES[difficulty].options;
+  if (pool.length < needed) return null;
+
+  const subjects = shuffleArray(pool).slice(0, QUIZ_LENGTH);
+  const questions = subjects.map(country => type === 'population'
+    ? buildPopulationQuestion(country, pool, difficulty)
+    : buildChoiceQuestion(type, country, pool, difficulty));
+
+  return { type, region, difficulty, questions, index: 0, score: 0, streak: 0, bestStreak: 0, answers: [] };
+}
+
+// Record the answer to the current question; returns whether it was right
+function scoreQuizAnswer(session, countryCode) {
+  const question = session.questions[session.index];
+  const correct = countryCode === question.answer;
+
+  if (correct) {
+    session.score += QUIZ_POINTS + QUIZ_STREAK_BONUS * session.streak;
+    session.streak++;
+    session.bestStreak = Math.max(session.bestStreak, session.streak);
+  } else {
+    session.streak = 0;
+  }
+
+  session.answers.push({ question, chosen: countryCode, correct });
+  return correct;
+}
+
+// Prompt of a question: a flag, a capital, or the population comparison
+function renderQuizPrompt(question) {
+  const subject = getCountryByCode(question.subject);
+
+  if (question.type === 'flag') {
+    return `
+      <p class="text-gray-700 font-medium mb-3">${t('quiz.prompt.flag')}</p>
+      <img src="${escapeHTML(subject.flags.png)}" alt="${t('quiz.prompt.flag')}" class="quiz-flag mx-auto">
+    `;
+  }
+  if (question.type === 'capital') {
+    return `<p class="text-gray-700 font-medium">${t('quiz.prompt.capital', { capital: `<strong>${escapeHTML(subject.capital[0])}</strong>` })}</p>`;
+  }
+  return `<p class="text-gray-700 font-medium">${t('quiz.prompt.population')}</p>`;
+}
+
+// Game type, region and difficulty pickers plus the score history of the selected game
+function renderQuizSetup(message = '') {
+  const { type: selectedType, region: selectedRegion, difficulty: selectedDifficulty } = quizSettings;
+  const regions = [...new Set(allCountries.map(country => country.region).filter(Boolean))]
+    .sort((a, b) => translateRegion(a).localeCompare(translateRegion(b), getLocale()));
+
+  quizContent.innerHTML = `
+    <h4 class="text-sm font-semibold text-gray-700 mb-2">${t('quiz.gameType')}</h4>
+    <div class="flex flex-wrap gap-4 mb-4 text-sm text-gray-600">
+      ${Object.keys(QUIZ_TYPES).map(type => `
+        <label class="flex items-center gap-2">
+          <input type="radio" name="quizType" value="${type}" ${type === selectedType ? 'checked' : ''} data-action="pick-quiz-type">
+          ${t(QUIZ_TYPES[type].labelKey)}
+        </label>
+      `).join('')}
+    </div>
+
+    <div class="grid grid-cols-2 gap-4 mb-4 text-sm text-gray-600">
+      <label>
+        <span class="block font-semibold text-gray-700 mb-1">${t('quiz.region')}</span>
+        <select id="quizRegion" class="w-full px-2 py-1 border border-gray-200 rounded-lg bg-white">
+          <option value="all">${t('quiz.allRegions')}</option>
+          ${regions.map(region => `<option value="${escapeHTML(region)}" ${region === selectedRegion ? 'selected' : ''}>${escapeHTML(translateRegion(region))}</option>`).join('')}
+        </select>
+      </label>
+      <label>
+        <span class="block font-semibold text-gray-700 mb-1">${t('quiz.difficulty')}</span>
+        <select id="quizDifficulty" class="w-full px-2 py-1 border border-gray-200 rounded-lg bg-white">
+          ${Object.keys(QUIZ_DIFFICULTIES).map(level => `<option value="${level}" ${level === selectedDifficulty ? 'selected' : ''}>${t(QUIZ_DIFFICULTIES[level].labelKey)}</option>`).join('')}
+        </select>
+      </label>
+    </div>
+
+    ${message ? `<p class="text-sm text-red-600 mb-4">${message}</p>` : ''}
+
+    <button
+      data-action="start-quiz"
+      class="w-full px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors text-sm font-medium"
+    >
+      ${t('quiz.start')}
+    </button>
+
+    <div id="quizHistoryList" class="mt-6"></div>
+  `;
+  renderQuizHistory();
+}
+
+// Best score and recent games of the game type selected in the setup screen
+function renderQuizHistory() {
+  const container = document.getElementById('quizHistoryList');
+  const checked = document.querySelector('input[name="quizType"]:checked');
+  if (!container || !checked) return;
+
+  const games = quizHistory[checked.value] || [];
+  if (games.length === 0) {
+    container.innerHTML = `<p class="text-sm text-gray-500">${t('quiz.noHistory')}</p>`;
+    return;
+  }
+
+  const best = Math.max(...games.map(game => game.score));
+  container.innerHTML = `
+    <h4 class="text-sm font-semibold text-gray-700 mb-2">${t('quiz.history', { best: formatNumber(best) })}</h4>
+    <table class="w-full text-sm text-gray-600">
+      <tbody>
+        ${games.slice(0, 5).map(game => `
+          <tr class="border-t border-gray-100">
+            <td class="py-1">${new Date(game.date).toLocaleDateString(getLocale())}</td>
+            <td class="py-1">${game.region === 'all' ? t('quiz.allRegions') : escapeHTML(translateRegion(game.region))} · ${t(QUIZ_DIFFICULTIES[game.difficulty].labelKey)}</td>
+            <td class="py-1 text-right">${t('quiz.historyRow', { correct: game.correct, total: game.total, score: formatNumber(game.score) })}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Current question with its options; after an answer the options show right and wrong
+function renderQuizQuestion() {
+  const question = quizSession.questions[quizSession.index];
+  const answer = quizSession.answers[quizSession.index];
+
+  const options = question.options.map(code => {
+    const country = getCountryByCode(code);
+    let state = '';
+    if (answer && code === question.answer) state = 'quiz-correct';
+    else if (answer && code === answer.chosen) state = 'quiz-wrong';
+
+    const detail = answer && question.type === 'population'
+      ? `<span class="block text-xs text-gray-500">${formatNumber(country.population)} ${t('unit.people')}</span>`
+      : '';
+    return `
+      <button
+        data-action="answer-quiz"
+        data-country-code="${escapeHTML(code)}"
+        class="quiz-option ${state}"
+        ${answer ? 'disabled' : ''}
+      >
+        ${escapeHTML(getCountryName(country))}${detail}
+      </button>
+    `;
+  }).join('');
+
+  quizContent.innerHTML = `
+    <div class="flex justify-between text-sm text-gray-500 mb-4">
+      <span>${t('quiz.progress', { current: quizSession.index + 1, total: quizSession.questions.length })}</span>
+      <span>${t('quiz.score', { score: formatNumber(quizSession.score) })} · ${t('quiz.streak', { streak: quizSession.streak })}</span>
+    </div>
+    <div class="text-center mb-4">${renderQuizPrompt(question)}</div>
+    <div class="grid grid-cols-1 sm:grid-cols-2 gap-2">${options}</div>
+    ${answer ? `
+      <p class="mt-4 text-sm ${answer.correct ? 'text-green-600' : 'text-red-600'}">
+        ${answer.correct ? t('quiz.correct') : t('quiz.wrong', { answer: escapeHTML(getCountryName(getCountryByCode(question.answer))) })}
+      </p>
+      <button
+        data-action="next-quiz-question"
+        class="mt-4 w-full px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors text-sm font-medium"
+      >
+        ${quizSession.index + 1 < quizSession.questions.length ? t('quiz.next') : t('quiz.finish')}
+      </button>
+    ` : ''}
+  `;
+}
+
+// Final score and the missed questions, each linking to its countries
+function renderQuizSummary() {
+  const missed = quizSession.answers.filter(answer => !answer.correct);
+  const correct = quizSession.answers.length - missed.length;
+
+  const review = missed.map(({ question, chosen }) => {
+    const subject = getCountryByCode(question.subject);
+    let prompt;
+    if (question.type === 'flag') {
+      prompt = `<img src="${escapeHTML(subject.flags.png)}" alt="" class="quiz-flag-small">`;
+    } else if (question.type === 'capital') {
+      prompt = `<strong>${escapeHTML(subject.capital[0])}</strong>`;
+    } else {
+      prompt = question.options.map(renderCountryLink).join(' vs ');
+    }
+
+    return `
+      <li class="flex flex-wrap items-center gap-2 py-2 border-t border-gray-100">
+        ${prompt}
+        <span>${t('quiz.review.answer')}: ${renderCountryLink(question.answer)}</span>
+        <span class="text-gray-500">${t('quiz.review.yours')}: ${renderCountryLink(chosen)}</span>
+      </li>
+    `;
+  }).join('');
+
+  quizContent.innerHTML = `
+    <div class="text-center mb-6">
+      <div class="text-4xl font-bold text-blue-600 mb-1">${formatNumber(quizSession.score)}</div>
+      <p class="text-gray-600">${t('quiz.summary', { correct, total: quizSession.answers.length, streak: quizSession.bestStreak })}</p>
+    </div>
+    ${missed.length > 0 ? `
+      <h4 class="text-sm font-semibold text-gray-700 mb-1">${t('quiz.review.title')}</h4>
+      <p class="text-xs text-gray-500 mb-2">${t('quiz.review.hint')}</p>
+      <ul class="text-sm text-gray-700 mb-6">${review}</ul>
+    ` : `<p class="text-center text-green-600 mb-6">${t('quiz.perfect')}</p>`}
+    <div class="flex gap-2">
+      <button
+        data-action="start-quiz"
+        data-replay="true"
+        class="flex-1 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors text-sm font-medium"
+      >
+        ${t('quiz.playAgain')}
+      </button>
+      <button
+        data-action="show-quiz-setup"
+        class="flex-1 px-4 py-2 border border-gray-200 rounded-lg bg-white text-gray-700 hover:bg-gray-50 transition-colors text-sm font-medium"
+      >
+        ${t('quiz.changeGame')}
+      </button>
+    </div>
+  `;
+}
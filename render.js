@@ -0,0 +1,60 @@
+// REST Countries Explorer - Safe Rendering
+// API data and user input are escaped before they are placed in markup, and generated
+// controls name their behavior in a data-action attribute that one delegated listener
+// runs, so the page needs no inline handlers and works under a strict Content Security Policy
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text for use as element content or a quoted attribute value
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Click behavior of generated buttons, keyed by data-action
+const CLICK_ACTIONS = {
+  'open-country': target => openModal(target.dataset.countryCode),
+  'toggle-favorite': target => toggleFavorite(target.dataset.countryCode, target),
+  'toggle-compare': target => toggleCompare(target.dataset.countryCode),
+  'change-page': target => changePage(Number(target.dataset.page)),
+  'retry-load': () => fetchCountries(),
+  'clear-search': () => {
+    searchInput.value = '';
+    handleSearch();
+  },
+  'show-land-route': target => showLandRoute(target.dataset.countryCode),
+  'show-within-hops': target => showCountriesWithinHops(target.dataset.countryCode),
+  'measure-distance': target => showCountryDistance(target.dataset.countryCode),
+  'set-home-country': target => setHomeCountry(target.dataset.countryCode || null),
+  'export-collection': target => exportCollections([getCollectionById(target.dataset.collectionId)]),
+  'delete-collection': target => deleteCollection(target.dataset.collectionId),
+  'toggle-group': target => toggleGroup(target.dataset.groupKey),
+  'expand-all-groups': () => setAllGroupsExpanded(true),
+  'collapse-all-groups': () => setAllGroupsExpanded(false),
+  'start-quiz': target => startQuiz(target.dataset.replay === 'true'),
+  'answer-quiz': target => answerQuiz(target.dataset.countryCode),
+  'next-quiz-question': () => nextQuizQuestion(),
+  'show-quiz-setup': () => showQuizSetup()
+};
+
+// Change behavior of generated form fields, keyed by data-action
+const CHANGE_ACTIONS = {
+  'jump-to-page': target => changePage(Number(target.value)),
+  'show-nearest': target => showNearestCountries(target.dataset.countryCode),
+  'save-collection-note': target => saveCollectionNote(target.dataset.countryCode, target.value),
+  'save-collection-tags': target => saveCollectionTags(target.dataset.countryCode, target.value),
+  'rename-collection': target => renameCollection(target.dataset.collectionId, target.value),
+  'set-travel-status': target => setTravelStatus(target.dataset.countryCode, target.value),
+  'set-travel-date': target => setTravelDate(target.dataset.countryCode, target.value),
+  'pick-quiz-type': () => renderQuizHistory()
+};
+
+// Run the action of the innermost element with a data-action for this event type.
+// Only that element reacts, so a button inside a clickable card does not open the card.
+function handleDelegatedAction(e) {
+  const target = e.target.closest('[data-action]');
+  if (!target) return;
+
+  const actions = e.type === 'click' ? CLICK_ACTIONS : CHANGE_ACTIONS;
+  const action = actions[target.dataset.action];
+  if (action) action(target);
+}
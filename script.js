@@ -3,11 +3,134 @@
 
 // Global state management
 let allCountries = [];      // Store all fetched countries
-let favorites = [];          // Favorite country codes (from localStorage)
-let currentSort = 'a-z';     // Current sort method
+let countriesByCode = new Map(); // cca3 -> country for allCountries (see getCountryByCode)
+let datasetVersion = 0;      // Bumped whenever allCountries is replaced, so cached cards are rebuilt
+let favorites = [];          // Country codes in the active favorite collection
+let collections = [];        // Named favorite lists: { id, name, items: [{ code, note, tags }] }
+let activeCollectionId = null;
+let travelLog = {};          // Travel status per cca3: { status, date } (see travel.js)
+let travelFilter = 'all';    // 'all' or a TRAVEL_FILTERS key
+let currentSort = parseSortSpec(DEFAULT_SORT); // Sort keys [{ field, direction }] (see sorting.js)
 let showFavoritesOnly = false;
 let currentPage = 1;
-const itemsPerPage = 21;
+let itemsPerPage = 21;       // Cards per page in paginated mode
+let displayMode = 'pages';   // 'pages' (paginated) or 'scroll' (virtualized infinite scroll)
+const DISPLAY_MODES = ['pages', 'scroll'];
+const PAGE_SIZE_OPTIONS = [12, 21, 48, 96];
+let groupBy = 'none';        // 'none' or a GROUP_BY_OPTIONS key (see groups.js)
+let expandedGroups = {};     // Expanded group keys per grouping, e.g. { region: ['Asia'] }
+const VIRTUAL_OVERSCAN_ROWS = 2;  // Rows rendered above and below the viewport
+const DEFAULT_CARD_HEIGHT = 400;  // Row height used until a card has been measured
+let virtualGrid = null;      // Virtualized grid state: { countries, columns, rowHeight, start, end, firstVisibleIndex }
+let virtualGridFrame = null; // Pending requestAnimationFrame for a scroll update
+let savedScrollY = null;     // Page scroll position while the modal is open
+let modalReturnFocus = null; // Element that had focus before the modal opened
+let dataTimestamp = null;    // When the current dataset was fetched from the API
+let isRefreshing = false;    // True while a background revalidation is running
+let dataSource = null;       // Provider key the current dataset came from (see providers.js)
+let invalidRecords = [];     // Records the provider returned that failed validation
+let missingFields = [];      // API fields whose requests failed (degraded mode)
+let rawRecords = null;       // Raw records of the current dataset, kept in memory for partial retries
+let loadController = null;   // AbortController of the in-flight load
+let activeFilters = createEmptyFilters(); // Selected facet values and numeric ranges
+let rangeBounds = {};        // Min/max of each numeric range filter in the current dataset
+let openCountryCode = null;  // cca3 of the country shown in the modal (part of the URL state)
+let modalHistoryDepth = 0;   // History entries pushed since the modal was opened
+let lastSyncedHash = '';     // URL hash that matches the current state
+let compareList = [];        // Country codes picked for side-by-side comparison
+const MAX_COMPARE = 4;
+const MIN_COMPARE = 2;
+const MAX_BORDER_HOPS = 10;
+let currentResults = [];     // Full filtered and sorted result set (all pages)
+let searchTerms = [];        // Free-text terms of the current search, used for highlighting
+let searchDebounceTimer = null; // Pending search while the user is still typing
+const SEARCH_DEBOUNCE_MS = 150;
+const RENDER_BUDGET_MS = 50; // Target for one filter, sort and render pass (slower passes are logged)
+let mapMetric = 'population'; // Metric the world map is colored by (see map.js)
+let localHoursSnapshot = ''; // Countries inside the local time window at the last render
+let homeCountryCode = null;  // cca3 of the user's home country (distance sort and readouts)
+let quizSettings = { type: 'flag', region: 'all', difficulty: 'medium' }; // Last chosen quiz setup
+let quizSession = null;      // Running or just finished quiz game (see quiz.js)
+let quizHistory = {};        // Finished quiz games per game type, newest first
+let browseSettings = { index: 'languages', sort: 'countries' }; // Tab and order of the language & currency index
+const COLLECTIONS_FILE_VERSION = 1;
+
+// Fields available for export. Multi-valued fields return arrays (joined with "; " in CSV).
+const EXPORT_COLUMNS = {
+  name: { labelKey: 'export.col.name', getValue: country => getCountryName(country) },
+  officialName: { labelKey: 'export.col.officialName', getValue: country => getOfficialCountryName(country) || null },
+  cca3: { labelKey: 'export.col.cca3', getValue: country => country.cca3 },
+  capital: { labelKey: 'export.col.capital', getValue: country => country.capital || [] },
+  region: { labelKey: 'export.col.region', getValue: country => country.region || null },
+  subregion: { labelKey: 'export.col.subregion', getValue: country => country.subregion || null },
+  population: { labelKey: 'export.col.population', getValue: country => country.population ?? null },
+  area: { labelKey: 'export.col.area', getValue: country => country.area ?? null },
+  density: { labelKey: 'export.col.density', getValue: country => {
+    const density = getPopulationDensity(country);
+    return density === null ? null : Math.round(density * 100) / 100;
+  } },
+  languages: { labelKey: 'export.col.languages', getValue: country => Object.values(country.languages || {}) },
+  currencies: { labelKey: 'export.col.currencies', getValue: country => Object.keys(country.currencies || {}) },
+  borders: { labelKey: 'export.col.borders', getValue: country => country.borders || [] },
+  lat: { labelKey: 'export.col.lat', getValue: country => country.latlng ? country.latlng[0] : null },
+  lng: { labelKey: 'export.col.lng', getValue: country => country.latlng ? country.latlng[1] : null }
+};
+const DEFAULT_EXPORT_COLUMNS = ['name', 'cca3', 'capital', 'region', 'subregion', 'population', 'area', 'languages', 'currencies'];
+
+// Offline cache (IndexedDB) settings
+const CACHE_DB_NAME = 'countriesExplorer';
+const CACHE_STORE_NAME = 'datasets';
+const CACHE_KEY = 'allCountries';
+const CACHE_SCHEMA_VERSION = 7; // Bump when the normalized country shape changes
+
+// Multi-select facets: each returns the option values a country belongs to
+const FACETS = {
+  region: {
+    labelKey: 'facet.region',
+    getValues: country => country.region ? [country.region] : []
+  },
+  subregion: {
+    labelKey: 'facet.subregion',
+    getValues: country => country.subregion ? [country.subregion] : []
+  },
+  language: {
+    labelKey: 'facet.language',
+    getValues: country => Object.keys(country.languages || {})
+  },
+  currency: {
+    labelKey: 'facet.currency',
+    getValues: country => Object.keys(country.currencies || {})
+  },
+  borders: {
+    labelKey: 'facet.borders',
+    getValues: country => {
+      const values = [];
+      if (country.landlocked) values.push('landlocked');
+      if (!country.borders || country.borders.length === 0) values.push('no-borders');
+      return values;
+    }
+  }
+};
+
+// Min/max range filters (log-scaled sliders)
+const RANGE_FILTERS = {
+  population: { labelKey: 'range.population', unitKey: 'unit.people', getValue: country => country.population },
+  area: { labelKey: 'range.area', unitKey: 'unit.km2', getValue: country => country.area },
+  density: { labelKey: 'range.density', unitKey: 'unit.perKm2', getValue: country => getPopulationDensity(country) }
+};
+const RANGE_SLIDER_STEPS = 1000;
+
+// Data section each optional API field belongs to (named in the degraded-mode banner)
+const FIELD_SECTIONS = {
+  cca2: 'codes', altSpellings: 'codes', tld: 'codes', fifa: 'codes', idd: 'codes',
+  languages: 'languages',
+  currencies: 'currencies',
+  borders: 'borders', landlocked: 'borders',
+  timezones: 'timezones',
+  translations: 'translations',
+  capitalInfo: 'maps', maps: 'maps',
+  car: 'facts', unMember: 'facts', independent: 'facts', gini: 'facts', startOfWeek: 'facts'
+};
 
 // DOM elements
 const searchInput = document.getElementById('searchInput');
@@ -15,6 +138,9 @@ const countriesGrid = document.getElementById('countriesGrid');
 const loadingIndicator = document.getElementById('loadingIndicator');
 const noResults = document.getElementById('noResults');
 const sortSelect = document.getElementById('sortSelect');
+const sortDirectionBtn = document.getElementById('sortDirection');
+const sortSecondarySelect = document.getElementById('sortSecondarySelect');
+const sortSecondaryDirectionBtn = document.getElementById('sortSecondaryDirection');
 const favoritesFilter = document.getElementById('favoritesFilter');
 const backToHome = document.getElementById('backToHome');
 const activeFilterBadge = document.getElementById('activeFilterBadge');
@@ -25,13 +151,111 @@ const modalTitle = document.getElementById('modalTitle');
 const modalFavoriteBtn = document.getElementById('modalFavoriteBtn');
 const closeModal = document.getElementById('closeModal');
 const modalBackdrop = document.getElementById('modalBackdrop');
+const dataStatus = document.getElementById('dataStatus');
+const refreshDataBtn = document.getElementById('refreshData');
+const degradedBanner = document.getElementById('degradedBanner');
+const degradedMessage = document.getElementById('degradedMessage');
+const degradedRetryBtn = document.getElementById('degradedRetry');
+const filterToggle = document.getElementById('filterToggle');
+const filterPanel = document.getElementById('filterPanel');
+const heroStats = document.getElementById('heroStats');
+const statsToggle = document.getElementById('statsToggle');
+const statsPanel = document.getElementById('statsPanel');
+const statsContent = document.getElementById('statsContent');
+const mapToggle = document.getElementById('mapToggle');
+const mapPanel = document.getElementById('mapPanel');
+const mapMetricSelect = document.getElementById('mapMetricSelect');
+const mapSummary = document.getElementById('mapSummary');
+const mapLegend = document.getElementById('mapLegend');
+const mapShapesNotice = document.getElementById('mapShapesNotice');
+const mapCanvas = document.getElementById('mapCanvas');
+const mapTooltip = document.getElementById('mapTooltip');
+const facetGroups = document.getElementById('facetGroups');
+const rangeFilters = document.getElementById('rangeFilters');
+const localTimeFrom = document.getElementById('localTimeFrom');
+const localTimeTo = document.getElementById('localTimeTo');
+const workingHoursBtn = document.getElementById('workingHours');
+const clearLocalTimeBtn = document.getElementById('clearLocalTime');
+const resetFiltersBtn = document.getElementById('resetFilters');
+const modalCompareBtn = document.getElementById('modalCompareBtn');
+const compareTray = document.getElementById('compareTray');
+const compareTrayItems = document.getElementById('compareTrayItems');
+const compareTrayMessage = document.getElementById('compareTrayMessage');
+const openCompareBtn = document.getElementById('openCompare');
+const clearCompareBtn = document.getElementById('clearCompare');
+const compareModal = document.getElementById('compareModal');
+const compareContent = document.getElementById('compareContent');
+const closeCompareBtn = document.getElementById('closeCompare');
+const compareBackdrop = document.getElementById('compareBackdrop');
+const quizToggle = document.getElementById('quizToggle');
+const quizModal = document.getElementById('quizModal');
+const quizBackdrop = document.getElementById('quizBackdrop');
+const closeQuizBtn = document.getElementById('closeQuiz');
+const quizContent = document.getElementById('quizContent');
+const browseToggle = document.getElementById('browseToggle');
+const browseModal = document.getElementById('browseModal');
+const browseBackdrop = document.getElementById('browseBackdrop');
+const closeBrowseBtn = document.getElementById('closeBrowse');
+const browseLanguagesTab = document.getElementById('browseLanguagesTab');
+const browseCurrenciesTab = document.getElementById('browseCurrenciesTab');
+const browseSearch = document.getElementById('browseSearch');
+const browseSort = document.getElementById('browseSort');
+const browseContent = document.getElementById('browseContent');
+const exportToggle = document.getElementById('exportToggle');
+const exportModal = document.getElementById('exportModal');
+const exportBackdrop = document.getElementById('exportBackdrop');
+const closeExportBtn = document.getElementById('closeExport');
+const exportColumns = document.getElementById('exportColumns');
+const exportSummary = document.getElementById('exportSummary');
+const exportDownloadBtn = document.getElementById('exportDownload');
+const collectionSelect = document.getElementById('collectionSelect');
+const manageCollectionsBtn = document.getElementById('manageCollections');
+const collectionsModal = document.getElementById('collectionsModal');
+const collectionsBackdrop = document.getElementById('collectionsBackdrop');
+const closeCollectionsBtn = document.getElementById('closeCollections');
+const collectionsList = document.getElementById('collectionsList');
+const newCollectionName = document.getElementById('newCollectionName');
+const createCollectionBtn = document.getElementById('createCollection');
+const exportCollectionsBtn = document.getElementById('exportCollections');
+const importCollectionsInput = document.getElementById('importCollections');
+const collectionsMessage = document.getElementById('collectionsMessage');
+const travelFilterSelect = document.getElementById('travelFilterSelect');
+const travelToggle = document.getElementById('travelToggle');
+const travelModal = document.getElementById('travelModal');
+const travelBackdrop = document.getElementById('travelBackdrop');
+const closeTravelBtn = document.getElementById('closeTravel');
+const travelProgress = document.getElementById('travelProgress');
+const exportTravelBtn = document.getElementById('exportTravel');
+const importTravelInput = document.getElementById('importTravel');
+const travelMessage = document.getElementById('travelMessage');
+const languageSelect = document.getElementById('languageSelect');
+const displayModeSelect = document.getElementById('displayModeSelect');
+const pageSizeSelect = document.getElementById('pageSizeSelect');
+const groupBySelect = document.getElementById('groupBySelect');
+const groupedView = document.getElementById('groupedView');
+const countryDialog = document.getElementById('countryDialog');
+const resultsAnnouncer = document.getElementById('resultsAnnouncer');
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
   console.log('REST Countries Explorer initialized');
+  loadLanguagePreference();
+  languageSelect.value = currentLanguage;
+  applyStaticTranslations();
   loadFavorites();
+  loadCompareList();
+  loadHomeCountry();
+  loadTravelLog();
+  loadQuizHistory();
+  loadDisplayPreferences();
+  renderPageSizeOptions();
+  renderSortOptions();
+  updateDisplayControls();
   setupEventListeners();
-  fetchCountries();
+  restoreStateFromURL();
+  loadSortPreference();
+  loadCountries();
+  scheduleClockTick();
 });
 
 // Setup all event listeners
@@ -39,144 +263,409 @@ function setupEventListeners() {
   console.log('Setting up event listeners...');
   
   // Search functionality
-  searchInput.addEventListener('input', handleSearch);
+  searchInput.addEventListener('input', scheduleSearch);
+  
+  // UI language
+  languageSelect.addEventListener('change', () => changeLanguage(languageSelect.value));
   
   // Sort functionality
   sortSelect.addEventListener('change', handleSortChange);
+  sortSecondarySelect.addEventListener('change', handleSortChange);
+  sortDirectionBtn.addEventListener('click', () => toggleSortDirection(0));
+  sortSecondaryDirectionBtn.addEventListener('click', () => toggleSortDirection(1));
+  
+  // Display mode and page size
+  displayModeSelect.addEventListener('change', () => changeDisplayMode(displayModeSelect.value));
+  pageSizeSelect.addEventListener('change', () => changePageSize(Number(pageSizeSelect.value)));
+  groupBySelect.addEventListener('change', () => changeGroupBy(groupBySelect.value));
+  window.addEventListener('scroll', scheduleVirtualGridUpdate, { passive: true });
+  window.addEventListener('resize', handleVirtualGridResize);
   
   // Favorites filter
   favoritesFilter.addEventListener('click', toggleFavoritesFilter);
   backToHome.addEventListener('click', toggleFavoritesFilter);
   
+  // Favorite collections
+  collectionSelect.addEventListener('change', () => switchCollection(collectionSelect.value));
+  manageCollectionsBtn.addEventListener('click', openCollectionsDialog);
+  closeCollectionsBtn.addEventListener('click', closeCollectionsDialog);
+  collectionsBackdrop.addEventListener('click', closeCollectionsDialog);
+  createCollectionBtn.addEventListener('click', handleCreateCollection);
+  exportCollectionsBtn.addEventListener('click', () => exportCollections(collections));
+  importCollectionsInput.addEventListener('change', handleImportCollections);
+  
+  // Travel tracker
+  travelFilterSelect.addEventListener('change', () => changeTravelFilter(travelFilterSelect.value));
+  travelToggle.addEventListener('click', openTravelDialog);
+  closeTravelBtn.addEventListener('click', closeTravelDialog);
+  travelBackdrop.addEventListener('click', closeTravelDialog);
+  exportTravelBtn.addEventListener('click', exportTravelLog);
+  importTravelInput.addEventListener('change', handleImportTravel);
+  
+  // Faceted filter panel
+  filterToggle.addEventListener('click', () => filterPanel.classList.toggle('hidden'));
+  statsToggle.addEventListener('click', toggleStatsPanel);
+  facetGroups.addEventListener('change', handleFacetChange);
+  rangeFilters.addEventListener('input', handleRangeInput);
+  localTimeFrom.addEventListener('change', () => setLocalTimeFilter(localTimeFrom.value || null, activeFilters.localTime.to));
+  localTimeTo.addEventListener('change', () => setLocalTimeFilter(activeFilters.localTime.from, localTimeTo.value || null));
+  workingHoursBtn.addEventListener('click', () => setLocalTimeFilter('09:00', '17:00'));
+  clearLocalTimeBtn.addEventListener('click', () => setLocalTimeFilter(null, null));
+  resetFiltersBtn.addEventListener('click', resetFilters);
+  
+  // World map panel
+  mapToggle.addEventListener('click', toggleMapPanel);
+  mapMetricSelect.addEventListener('change', () => {
+    mapMetric = mapMetricSelect.value;
+    renderMap(currentResults);
+  });
+  mapCanvas.addEventListener('mousemove', showMapTooltip);
+  mapCanvas.addEventListener('mouseleave', () => mapTooltip.classList.add('hidden'));
+  mapCanvas.addEventListener('click', handleMapClick);
+  
   // Modal functionality
   closeModal.addEventListener('click', closeModalHandler);
   modalBackdrop.addEventListener('click', closeModalHandler);
   modalFavoriteBtn.addEventListener('click', handleModalFavorite);
+  modalCompareBtn.addEventListener('click', () => toggleCompare(modalCompareBtn.dataset.countryCode));
   
-  // Keyboard navigation
-  document.addEventListener('keydown', function(e) {
-    if (e.key === 'Escape' && !countryModal.classList.contains('hidden')) {
-      closeModalHandler();
-    }
-  });
+  // Comparison tray and view
+  openCompareBtn.addEventListener('click', openCompareView);
+  clearCompareBtn.addEventListener('click', clearCompare);
+  closeCompareBtn.addEventListener('click', closeCompareView);
+  compareBackdrop.addEventListener('click', closeCompareView);
+  
+  // Quiz
+  quizToggle.addEventListener('click', openQuizDialog);
+  closeQuizBtn.addEventListener('click', closeQuizDialog);
+  quizBackdrop.addEventListener('click', closeQuizDialog);
+  
+  // Language & currency index
+  browseToggle.addEventListener('click', openBrowseDialog);
+  closeBrowseBtn.addEventListener('click', closeBrowseDialog);
+  browseBackdrop.addEventListener('click', closeBrowseDialog);
+  browseLanguagesTab.addEventListener('click', () => changeBrowseIndex('languages'));
+  browseCurrenciesTab.addEventListener('click', () => changeBrowseIndex('currencies'));
+  browseSearch.addEventListener('input', renderBrowseView);
+  browseSort.addEventListener('change', (e) => changeBrowseSort(e.target.value));
+  
+  // Export dialog
+  exportToggle.addEventListener('click', openExportDialog);
+  closeExportBtn.addEventListener('click', closeExportDialog);
+  exportBackdrop.addEventListener('click', closeExportDialog);
+  exportDownloadBtn.addEventListener('click', handleExportDownload);
+  
+  // Manual data refresh
+  refreshDataBtn.addEventListener('click', () => fetchCountries({ background: allCountries.length > 0 }));
+  degradedRetryBtn.addEventListener('click', retryMissingData);
+  
+  // Browser history (Back/Forward); scroll position is restored by hand when the modal closes
+  window.addEventListener('popstate', handlePopState);
+  if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+  
+  // Keyboard navigation and shortcuts
+  document.addEventListener('keydown', handleKeydown);
+  countriesGrid.addEventListener('keydown', handleGridKeydown);
+  groupedView.addEventListener('keydown', handleGridKeydown);
+  
+  // Buttons and fields in generated markup (see render.js)
+  document.addEventListener('click', handleDelegatedAction);
+  document.addEventListener('change', handleDelegatedAction);
   
   console.log('Event listeners set up successfully');
 }
 
-// Fetch countries from REST Countries API with fallback
-async function fetchCountries() {
-  try {
-    showLoading();
-    
-    // According to documentation, we MUST specify fields for /all endpoint
-    // Maximum 10 fields allowed to avoid bad request
-    const essentialFields = 'name,flags,capital,region,subregion,population,cca3,continents,area,latlng';
-    
-    console.log('Fetching from REST Countries API v3.1 with required fields...');
-    let response = await fetch(`https://restcountries.com/v3.1/all?fields=${essentialFields}`);
-    
-    // Fallback to v2 if v3.1 fails
-    if (!response.ok) {
-      console.log(`v3.1 API failed with status: ${response.status}, trying v2 fallback...`);
-      response = await fetch('https://restcountries.com/v2/all');
-    }
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+// Escape closes dialogs, Tab stays inside the country dialog, single-key shortcuts
+// ("/" search, "f" favorite, Left/Right previous/next country in the modal)
+function handleKeydown(e) {
+  const modalOpen = !countryModal.classList.contains('hidden');
+  const otherDialogOpen = [compareModal, exportModal, collectionsModal, travelModal, quizModal, browseModal].some(dialog => !dialog.classList.contains('hidden'));
+  
+  if (e.key === 'Escape' && modalOpen) {
+    closeModalHandler();
+  } else if (e.key === 'Escape' && !compareModal.classList.contains('hidden')) {
+    closeCompareView();
+  } else if (e.key === 'Escape' && !exportModal.classList.contains('hidden')) {
+    closeExportDialog();
+  } else if (e.key === 'Escape' && !collectionsModal.classList.contains('hidden')) {
+    closeCollectionsDialog();
+  } else if (e.key === 'Escape' && !travelModal.classList.contains('hidden')) {
+    closeTravelDialog();
+  } else if (e.key === 'Escape' && !quizModal.classList.contains('hidden')) {
+    closeQuizDialog();
+  } else if (e.key === 'Escape' && !browseModal.classList.contains('hidden')) {
+    closeBrowseDialog();
+  } else if (e.key === 'Tab' && modalOpen) {
+    trapFocus(e, countryDialog);
+  }
+  
+  // Shortcuts never fire while typing or together with modifier keys
+  if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+  const key = e.key.toLowerCase();
+  
+  if (modalOpen) {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      showAdjacentCountry(e.key === 'ArrowLeft' ? -1 : 1);
+    } else if (key === 'f') {
+      modalFavoriteBtn.click();
     }
+  } else if (!otherDialogOpen && e.key === '/') {
+    e.preventDefault();
+    searchInput.focus();
+    searchInput.select();
+  } else if (!otherDialogOpen && key === 'f') {
+    const card = e.target.closest && e.target.closest('.country-card');
+    if (card) card.querySelector('.favorite-btn').click();
+  }
+}
+
+// True when a key press goes into a form field
+function isTypingTarget(element) {
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable;
+}
+
+// Keep Tab and Shift+Tab cycling through the focusable elements of a dialog
+function trapFocus(e, dialog) {
+  const focusable = [...dialog.querySelectorAll('a[href], button, input, select, textarea, iframe, [tabindex]:not([tabindex="-1"])')]
+    .filter(element => !element.disabled && !element.closest('.hidden'));
+  
+  if (focusable.length === 0) {
+    e.preventDefault();
+    dialog.focus();
+    return;
+  }
+  
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+  
+  if (!dialog.contains(active)) {
+    e.preventDefault();
+    first.focus();
+  } else if (e.shiftKey && (active === first || active === dialog)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && active === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+// Arrow keys move between cards (onto the next or previous page at the edges), Enter or Space opens one.
+// In the grouped view arrows stay inside the card's group.
+function handleGridKeydown(e) {
+  const card = e.target.closest('.country-card');
+  if (!card || e.target !== card) return;
+  
+  if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault();
+    openModal(card.dataset.countryCode);
+    return;
+  }
+  
+  const grid = card.parentElement;
+  const columns = getGridColumnCount(grid);
+  const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns };
+  const cards = [...grid.children];
+  let target;
+  if (steps[e.key] !== undefined) {
+    target = cards.indexOf(card) + steps[e.key];
+  } else if (e.key === 'Home') {
+    target = 0;
+  } else if (e.key === 'End') {
+    target = cards.length - 1;
+  } else {
+    return;
+  }
+  e.preventDefault();
+  
+  if (target >= 0 && target < cards.length) {
+    cards[target].focus();
+  } else if (grid === countriesGrid && displayMode === 'pages') {
+    const page = currentPage + (target < 0 ? -1 : 1);
+    if (page < 1 || page > Math.ceil(currentResults.length / itemsPerPage)) return;
     
-    console.log('API request successful!');
-    let data = await response.json();
+    changePage(page);
+    const pageCards = countriesGrid.children;
+    pageCards[target < 0 ? pageCards.length - 1 : 0].focus();
+  }
+}
+
+// Open the previous (-1) or next (1) country of the current results in the modal
+function showAdjacentCountry(step) {
+  const index = currentResults.findIndex(country => country.cca3 === openCountryCode);
+  const next = currentResults[index + step];
+  if (index === -1 || !next) return;
+  
+  openModal(next.cca3);
+}
+
+// Load countries on startup: render the cached dataset instantly, then revalidate
+async function loadCountries() {
+  const cached = await readCachedCountries();
+  
+  if (cached) {
+    console.log(`Rendering ${cached.countries.length} countries from cache (${new Date(cached.timestamp).toISOString()})`);
+    setCountries(cached.countries, cached.timestamp);
+    dataSource = Object.hasOwn(DATA_PROVIDERS, cached.source) ? cached.source : null;
+    invalidRecords = cached.invalidRecords || [];
+    missingFields = cached.missingFields || [];
+    applyFiltersAndSort();
+    hideLoading();
+    updateDataStatus();
+    renderDegradedBanner();
+    restoreModalFromState();
     
-    if (!Array.isArray(data)) {
-      throw new Error('Invalid data format received from API');
+    // Revalidate in the background without blocking the grid
+    fetchCountries({ background: true });
+  } else {
+    fetchCountries();
+  }
+}
+
+// Cancel the in-flight load (if any) and start tracking a new one
+function beginLoad() {
+  if (loadController) loadController.abort();
+  loadController = new AbortController();
+  isRefreshing = true;
+  return loadController;
+}
+
+// Make a loaded dataset current, cache it and re-render
+function applyDataset(dataset, timestamp) {
+  setCountries(dataset.countries, timestamp);
+  dataSource = dataset.source;
+  invalidRecords = dataset.invalid;
+  missingFields = dataset.missingFields;
+  rawRecords = dataset.records;
+  
+  // Persist for offline use (non-blocking)
+  writeCachedCountries(allCountries, dataTimestamp);
+  
+  applyFiltersAndSort();
+  renderDegradedBanner();
+}
+
+// Fetch countries from the API, update the cache and re-render.
+// In background mode the current grid stays visible and failures only update the status indicator.
+// Starting a new load cancels the one in flight.
+async function fetchCountries(options = {}) {
+  const background = options.background === true;
+  const controller = beginLoad();
+  
+  let offline = false;
+  try {
+    if (background) {
+      updateDataStatus();
+    } else {
+      showLoading();
     }
     
-    // Get additional data (languages, currencies, borders, timezones) from second API call
-    console.log('Fetching additional data (languages, currencies, borders, timezones)...');
-    try {
-      const additionalResponse = await fetch('https://restcountries.com/v3.1/all?fields=cca3,languages,currencies,borders,timezones');
-      if (additionalResponse.ok) {
-        const additionalData = await additionalResponse.json();
-        
-        // Merge additional data with main data
-        data = data.map(country => {
-          const additional = additionalData.find(ad => ad.cca3 === country.cca3);
-          return additional ? { ...country, ...additional } : country;
-        });
-        
-        console.log('Additional data merged successfully');
-      } else {
-        console.warn('Additional API call failed, using fallback data');
-      }
-    } catch (error) {
-      console.warn('Failed to fetch additional data:', error);
-    }
-    
-    // Debug: Log first country to see what we're getting
-    if (data.length > 0) {
-      console.log('First country from API:', data[0]);
-      console.log('First country languages:', data[0].languages);
-      console.log('First country currencies:', data[0].currencies);
-      console.log('First country timezones:', data[0].timezones);
-      console.log('First country continents:', data[0].continents);
-      console.log('First country area:', data[0].area);
-    }
-    
-    // Since we're using v3.1 API with limited fields, we need to enhance the data
-    // Add missing fields with default values for modal functionality
-    allCountries = data.map(country => {
-      // Check if this is v2 API data (has alpha3Code instead of cca3)
-      if (country.alpha3Code && !country.cca3) {
-        // This is v2 API data, normalize it
-        return {
-          ...country,
-          cca3: country.alpha3Code,
-          name: typeof country.name === 'string' ? { common: country.name } : country.name,
-          flags: country.flag ? { png: country.flag, alt: `${country.name} flag` } : country.flags
-        };
-      }
-      
-      // This is v3.1 API data with limited fields, add missing fields
-      return {
-        ...country,
-        // Add missing fields with defaults for modal
-        borders: country.borders || [],
-        languages: country.languages || {},
-        currencies: country.currencies || {},
-        timezones: country.timezones || [],
-        continents: country.continents || [],
-        area: country.area || null,
-        maps: country.maps || { googleMaps: null, openStreetMaps: null },
-        latlng: country.latlng || null,
-        capitalInfo: country.capitalInfo || null,
-        subregion: country.subregion || null,
-        nativeName: country.nativeName || null
-      };
-    });
-    
-    console.log(`Successfully fetched ${allCountries.length} countries`);
+    const dataset = await loadCountriesFromProviders(getRequestedDataSource(), { signal: controller.signal });
+    applyDataset(dataset, Date.now());
+    console.log(`Successfully fetched ${allCountries.length} countries from ${dataSource}`);
     
-    // Apply current filters and render
-    applyFiltersAndSort();
     hideLoading();
+    restoreModalFromState();
     
   } catch (error) {
+    // Superseded by a newer load, which now owns the UI
+    if (error.name === 'AbortError') return;
+    
     console.error('Error fetching countries:', error);
+    
+    // Keep showing the stale dataset if we have one
+    if (allCountries.length > 0) {
+      offline = true;
+      hideLoading();
+      return;
+    }
+    
     hideLoading();
     
            // Show specific error message based on error type
-           let errorMessage = 'Gagal memuat data negara. ';
+           let errorMessage = t('error.loadFailed') + ' ';
            if (error.name === 'TypeError' && error.message.includes('fetch')) {
-             errorMessage += 'Periksa koneksi internet Anda.';
+             errorMessage += t('error.checkConnection');
+           } else if (error.name === 'TimeoutError') {
+             errorMessage += t('error.timeout');
            } else if (error.message.includes('HTTP error')) {
-             errorMessage += 'Kesalahan server. Silakan coba lagi nanti.';
+             errorMessage += t('error.server');
            } else {
-             errorMessage += 'Silakan coba lagi nanti.';
+             errorMessage += t('error.tryLater');
            }
     
     showError(errorMessage);
+  } finally {
+    if (loadController === controller) {
+      loadController = null;
+      isRefreshing = false;
+      updateDataStatus(offline);
+    }
+  }
+}
+
+// Degraded mode: re-request only the missing fields. A dataset restored from the
+// cache has no raw records to merge into, so it gets a full refresh instead.
+async function retryMissingData() {
+  if (!rawRecords || !DATA_PROVIDERS[dataSource].loadFields) {
+    fetchCountries({ background: true });
+    return;
   }
+  
+  const controller = beginLoad();
+  degradedRetryBtn.disabled = true;
+  updateDataStatus();
+  
+  try {
+    const dataset = await loadMissingFields({ source: dataSource, records: rawRecords, missingFields }, { signal: controller.signal });
+    applyDataset(dataset, dataTimestamp);
+    
+    // Show the completed data in the open modal
+    if (openCountryCode && !countryModal.classList.contains('hidden')) {
+      openModal(openCountryCode, { fromHistory: true });
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    console.error('Error loading missing data:', error);
+    renderDegradedBanner();
+  } finally {
+    if (loadController === controller) {
+      loadController = null;
+      isRefreshing = false;
+      updateDataStatus();
+    }
+  }
+}
+
+// Show which data sections failed to load, or hide the banner when everything is there
+function renderDegradedBanner() {
+  const sections = [...new Set(missingFields.map(field => FIELD_SECTIONS[field] || 'other'))];
+  
+  degradedBanner.classList.toggle('hidden', sections.length === 0);
+  degradedRetryBtn.disabled = false;
+  if (sections.length === 0) return;
+  
+  degradedMessage.textContent = t('degraded.message', {
+    sections: sections.map(section => t(`section.${section}`)).join(', ')
+  });
+}
+
+// Replace the active dataset and rebuild everything derived from it
+function setCountries(countries, timestamp) {
+  allCountries = countries;
+  countriesByCode = new Map(countries.map(country => [country.cca3, country]));
+  datasetVersion++;
+  dataTimestamp = timestamp;
+  renderFilterPanel();
+  renderCompareTray();
+  renderSortOptions();
+}
+
+// Country with this cca3 code in the current dataset (null when unknown)
+function getCountryByCode(countryCode) {
+  return countriesByCode.get(countryCode) || null;
 }
 
 // Show loading indicator
@@ -192,17 +681,51 @@ function hideLoading() {
   countriesGrid.classList.remove('hidden');
 }
 
+// Update the "data as of ..." indicator next to the refresh button
+function updateDataStatus(offline = false) {
+  if (!dataTimestamp) {
+    dataStatus.classList.add('hidden');
+    return;
+  }
+  
+  const formattedDate = new Date(dataTimestamp).toLocaleString(getLocale(), {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  
+  let statusText = t('status.dataAsOf', { date: formattedDate });
+  if (dataSource && dataSource !== DEFAULT_PROVIDER_CHAIN[0]) {
+    statusText += ` · ${t(DATA_PROVIDERS[dataSource].labelKey)}`;
+  }
+  if (invalidRecords.length > 0) {
+    statusText += ` · ${t('status.invalidRecords', { count: invalidRecords.length })}`;
+  }
+  if (isRefreshing) {
+    statusText += ` · ${t('status.refreshing')}`;
+  } else if (offline) {
+    statusText += ` · ${t('status.offline')}`;
+  }
+  
+  dataStatus.textContent = statusText;
+  dataStatus.title = invalidRecords.map(record => `${record.id}: ${record.problems.join(', ')}`).join('\n');
+  dataStatus.dataset.state = isRefreshing ? 'refreshing' : (offline ? 'offline' : 'fresh');
+  dataStatus.classList.remove('hidden');
+}
+
 // Show error message with retry button
 function showError(message) {
   noResults.innerHTML = `
     <div class="text-6xl mb-4">⚠️</div>
-    <h3 class="text-xl font-semibold text-gray-700 mb-2">Terjadi Kesalahan</h3>
-    <p class="text-gray-500 mb-4">${message}</p>
+    <h3 class="text-xl font-semibold text-gray-700 mb-2">${t('error.title')}</h3>
+    <p class="text-gray-500 mb-4">${escapeHTML(message)}</p>
     <button 
-      onclick="fetchCountries()" 
+      data-action="retry-load" 
       class="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
     >
-      🔄 Coba Lagi
+      ${t('error.retry')}
     </button>
   `;
   noResults.classList.remove('hidden');
@@ -210,50 +733,122 @@ function showError(message) {
 
 // Handle search input
 function handleSearch() {
+  clearTimeout(searchDebounceTimer);
   currentPage = 1; // Reset to first page
   applyFiltersAndSort();
 }
 
-// Handle sort change
+// Search once typing pauses instead of on every keystroke
+function scheduleSearch() {
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(handleSearch, SEARCH_DEBOUNCE_MS);
+}
+
+// Handle a change of the primary or secondary sort field (a newly picked field starts in its default direction)
 function handleSortChange() {
-  currentSort = sortSelect.value;
+  const pickKey = (field, previous) => previous && previous.field === field
+    ? previous
+    : { field, direction: SORT_FIELDS[field].defaultDirection };
+  
+  const sortKeys = [pickKey(sortSelect.value, currentSort[0])];
+  if (Object.hasOwn(SORT_FIELDS, sortSecondarySelect.value) && sortSecondarySelect.value !== sortSelect.value) {
+    sortKeys.push(pickKey(sortSecondarySelect.value, currentSort[1]));
+  }
+  setSort(sortKeys);
+}
+
+// Flip the direction of the primary (0) or secondary (1) sort key
+function toggleSortDirection(level) {
+  if (!currentSort[level]) return;
+  
+  setSort(currentSort.map((key, index) => index === level
+    ? { field: key.field, direction: key.direction === 'asc' ? 'desc' : 'asc' }
+    : key));
+}
+
+// Use new sort keys, remember them and show the first page
+function setSort(sortKeys) {
+  currentSort = sortKeys;
+  updateSortControls();
+  saveSortPreference();
   currentPage = 1; // Reset to first page
+  updateURL('push');
   applyFiltersAndSort();
 }
 
+// Fill both sort field dropdowns (distance is disabled until a home country is chosen)
+function renderSortOptions() {
+  const home = getCountryByCode(homeCountryCode);
+  const getFieldLabel = field => field === 'distance' && home
+    ? t('sort.distanceFrom', { name: getCountryName(home) })
+    : t(SORT_FIELDS[field].labelKey);
+  const renderOptions = labelKey => Object.keys(SORT_FIELDS).map(field => `
+    <option value="${field}" ${field === 'distance' && !home ? 'disabled' : ''}>${escapeHTML(t(labelKey, { field: getFieldLabel(field) }))}</option>
+  `).join('');
+  
+  sortSelect.innerHTML = renderOptions('sort.by');
+  sortSecondarySelect.innerHTML = `<option value="none">${t('sort.thenNone')}</option>${renderOptions('sort.thenBy')}`;
+  updateSortControls();
+}
+
+// Sync the sort dropdowns and direction buttons with the current sort keys
+function updateSortControls() {
+  const [primary, secondary] = currentSort;
+  sortSelect.value = primary.field;
+  sortSecondarySelect.value = secondary ? secondary.field : 'none';
+  
+  // The primary field cannot also be the secondary one
+  const hasHome = Boolean(getCountryByCode(homeCountryCode));
+  [...sortSecondarySelect.options].forEach(option => {
+    option.disabled = option.value === primary.field || (option.value === 'distance' && !hasHome);
+  });
+  
+  [[sortDirectionBtn, primary], [sortSecondaryDirectionBtn, secondary]].forEach(([button, key]) => {
+    button.classList.toggle('hidden', !key);
+    if (!key) return;
+    
+    const label = t(key.direction === 'asc' ? 'sort.ascending' : 'sort.descending');
+    button.textContent = key.direction === 'asc' ? '↑' : '↓';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+  });
+}
+
 // Toggle favorites filter
 function toggleFavoritesFilter() {
   showFavoritesOnly = !showFavoritesOnly;
   currentPage = 1; // Reset to first page
-  
+  updateFavoritesFilterUI();
+  updateURL('push');
+  applyFiltersAndSort();
+}
+
+// Show the favorites button or the "back to home" button depending on the filter
+function updateFavoritesFilterUI() {
   if (showFavoritesOnly) {
     favoritesFilter.classList.add('hidden');
     backToHome.classList.remove('hidden');
+    activeFilterBadge.textContent = t('favorites.onlyCollection', { name: getActiveCollection().name });
     activeFilterBadge.classList.remove('hidden');
-    favoritesFilter.textContent = '⭐ Show Favorites';
+    favoritesFilter.textContent = t('favorites.show');
   } else {
     favoritesFilter.classList.remove('hidden');
     backToHome.classList.add('hidden');
     activeFilterBadge.classList.add('hidden');
-    favoritesFilter.textContent = '⭐ Show Favorites';
+    favoritesFilter.textContent = t('favorites.show');
   }
-  
-  applyFiltersAndSort();
 }
 
 // Apply filters, sorting, and pagination
 function applyFiltersAndSort() {
+  const renderStart = performance.now();
   let filteredCountries = [...allCountries];
   
-  // Apply search filter
-  const searchTerm = searchInput.value.toLowerCase().trim();
-  if (searchTerm) {
-    filteredCountries = filteredCountries.filter(country => 
-      country.name.common.toLowerCase().includes(searchTerm) ||
-      (country.capital && country.capital[0] && country.capital[0].toLowerCase().includes(searchTerm)) ||
-      country.region.toLowerCase().includes(searchTerm)
-    );
-  }
+  // Apply search (query filters like "pop>50m" plus ranked free-text matching)
+  const searchQuery = parseSearchQuery(searchInput.value);
+  const searchResult = searchCountries(filteredCountries, searchQuery);
+  filteredCountries = searchResult.countries;
+  searchTerms = searchQuery.terms;
   
   // Apply favorites filter
   if (showFavoritesOnly) {
@@ -262,167 +857,755 @@ function applyFiltersAndSort() {
     );
   }
   
-  // Apply sorting
+  // Apply travel status filter
+  if (travelFilter !== 'all') {
+    filteredCountries = filteredCountries.filter(country => matchesTravelFilter(travelLog, country.cca3, travelFilter));
+  }
+  
+  // Update facet counts before facets narrow the list, then apply them
+  updateFacetCounts(filteredCountries);
+  filteredCountries = filteredCountries.filter(country => matchesFilters(country));
+  localHoursSnapshot = getLocalHoursSnapshot();
+  
+  // Apply sorting; free-text results are ranked by relevance, the selected sort breaks ties
   filteredCountries = sortCountries(filteredCountries, currentSort);
+  if (searchTerms.length > 0) {
+    filteredCountries.sort((a, b) => searchResult.scores.get(b.cca3) - searchResult.scores.get(a.cca3));
+  }
+  currentResults = filteredCountries;
   
   // Render countries with pagination
   renderCountriesWithPagination(filteredCountries);
+  announceResults(filteredCountries.length);
+  
+  // Statistics and the map always describe the full result set
+  renderStatistics(filteredCountries);
+  renderMap(filteredCountries);
+  
+  // Keep the address bar in sync with the visible state
+  updateURL();
+  reportRenderTime(renderStart, filteredCountries.length);
 }
 
-// Sort countries based on selected method
-function sortCountries(countries, method) {
-  const sortedCountries = [...countries];
-  
-  switch (method) {
-    case 'a-z':
-      return sortedCountries.sort((a, b) => a.name.common.localeCompare(b.name.common));
-    case 'z-a':
-      return sortedCountries.sort((a, b) => b.name.common.localeCompare(a.name.common));
-    case 'continent':
-      return sortedCountries.sort((a, b) => {
-        if (a.region !== b.region) {
-          return a.region.localeCompare(b.region);
-        }
-        return a.name.common.localeCompare(b.name.common);
-      });
-    case 'pop-high':
-      return sortedCountries.sort((a, b) => b.population - a.population);
-    case 'pop-low':
-      return sortedCountries.sort((a, b) => a.population - b.population);
-    default:
-      return sortedCountries;
+// Record how long a filter, sort and render pass took (visible as "countries-render"
+// in the browser's performance timeline) and log passes slower than RENDER_BUDGET_MS
+function reportRenderTime(start, count) {
+  const duration = performance.now() - start;
+  if (performance.measure) {
+    performance.measure('countries-render', { start, duration });
+  }
+  if (duration > RENDER_BUDGET_MS) {
+    console.warn(`Rendering ${count} countries took ${Math.round(duration)} ms (budget ${RENDER_BUDGET_MS} ms)`);
   }
 }
 
-// Render countries with pagination
-function renderCountriesWithPagination(countries) {
-  const totalPages = Math.ceil(countries.length / itemsPerPage);
-  const startIndex = (currentPage - 1) * itemsPerPage;
-  const endIndex = startIndex + itemsPerPage;
-  const countriesToShow = countries.slice(startIndex, endIndex);
+// Create a filter state with nothing selected
+function createEmptyFilters() {
+  return {
+    region: [],
+    subregion: [],
+    language: [],
+    currency: [],
+    borders: [],
+    population: { min: null, max: null },
+    area: { min: null, max: null },
+    density: { min: null, max: null },
+    localTime: { from: null, to: null }
+  };
+}
+
+// Population per km², or null when the area is unknown
+function getPopulationDensity(country) {
+  if (!country.area || country.population === null || country.population === undefined) return null;
+  return country.population / country.area;
+}
+
+// Show or hide the statistics panel (rendered on open, then kept live)
+function toggleStatsPanel() {
+  statsPanel.classList.toggle('hidden');
+  if (!statsPanel.classList.contains('hidden')) {
+    renderStatistics(currentResults);
+  }
+}
+
+// Show or hide the world map panel (rendered on open, then kept live)
+function toggleMapPanel() {
+  mapPanel.classList.toggle('hidden');
+  if (!mapPanel.classList.contains('hidden')) {
+    renderWorldMap(currentResults);
+  }
+}
+
+// Check a country against the facets and ranges. A facet name can be excluded,
+// which is how each facet's own counts ignore its current selection.
+function matchesFilters(country, excludedFacet = null) {
+  for (const key of Object.keys(FACETS)) {
+    const selected = activeFilters[key];
+    if (key === excludedFacet || selected.length === 0) continue;
+    
+    const values = FACETS[key].getValues(country);
+    if (!selected.some(value => values.includes(value))) return false;
+  }
   
-  // Show/hide no results
-  if (countries.length === 0) {
-    countriesGrid.classList.add('hidden');
-    noResults.classList.remove('hidden');
-    pagination.classList.add('hidden');
-    return;
-  } else {
-    countriesGrid.classList.remove('hidden');
-    noResults.classList.add('hidden');
-    pagination.classList.remove('hidden');
+  for (const key of Object.keys(RANGE_FILTERS)) {
+    const { min, max } = activeFilters[key];
+    if (min === null && max === null) continue;
+    
+    const value = RANGE_FILTERS[key].getValue(country);
+    if (value === null || value === undefined) return false;
+    if (min !== null && value < min) return false;
+    if (max !== null && value > max) return false;
   }
   
-  // Render country cards
-  renderCountries(countriesToShow);
+  const { from, to } = activeFilters.localTime;
+  if ((from !== null || to !== null) && !isWithinLocalHours(country, from, to)) return false;
   
-  // Render pagination
-  renderPagination(countries.length, totalPages);
+  return true;
 }
 
-// Render country cards
-function renderCountries(countries) {
-  countriesGrid.innerHTML = '';
-  
-  countries.forEach((country, index) => {
-    const card = createCountryCard(country, index);
-    countriesGrid.appendChild(card);
+// Number of facet values and ranges currently restricting the list
+function countActiveFilters() {
+  let count = 0;
+  Object.keys(FACETS).forEach(key => { count += activeFilters[key].length; });
+  Object.keys(RANGE_FILTERS).forEach(key => {
+    if (activeFilters[key].min !== null || activeFilters[key].max !== null) count++;
   });
-  
-  // Update all favorite buttons to ensure correct state
-  updateAllFavoriteButtons();
+  if (activeFilters.localTime.from !== null || activeFilters.localTime.to !== null) count++;
+  return count;
 }
 
-// Create individual country card
-function createCountryCard(country, index) {
-  const card = document.createElement('div');
-  card.className = 'country-card cursor-pointer relative';
-  card.style.animationDelay = `${index * 0.1}s`;
-  
-  const isFavorite = favorites.includes(country.cca3);
-  const population = formatNumber(country.population);
-  const capital = country.capital && country.capital[0] ? country.capital[0] : '—';
+// Human readable label for a facet option
+function getFacetOptionLabel(facetKey, value) {
+  if (facetKey === 'borders') {
+    return value === 'landlocked' ? t('facet.landlocked') : t('facet.noBorders');
+  }
   
-  // Generate map preview if coordinates are available
-  let mapPreview = '';
-  if (country.latlng && country.latlng.length === 2) {
-    const [lat, lng] = country.latlng;
-    mapPreview = `
-      <div class="mt-3">
-        <iframe 
-          src="https://www.openstreetmap.org/export/embed.html?bbox=${lng-1},${lat-1},${lng+1},${lat+1}&layer=mapnik&marker=${lat},${lng}"
-          class="w-full h-24 border-0 rounded-lg"
-          loading="lazy"
-        ></iframe>
-      </div>
-    `;
+  if (facetKey === 'region') {
+    return translateRegion(value);
   }
-
-  card.innerHTML = `
-    <div class="relative">
-      <img 
-        src="${country.flags.png}" 
-        alt="${country.flags.alt || country.name.common}" 
-        class="flag-img"
-        loading="lazy"
-      >
-      <button 
-        class="favorite-btn absolute top-2 right-2 text-xl ${isFavorite ? 'favorited' : ''}"
-        onclick="event.stopPropagation(); toggleFavorite('${country.cca3}')"
-        title="${isFavorite ? 'Hapus dari favorit' : 'Tambah ke favorit'}"
-      >
-        ${isFavorite ? '❤️' : '🤍'}
-      </button>
-    </div>
-    <div class="p-4">
-      <h3 class="font-semibold text-lg text-gray-800 mb-2">${country.name.common}</h3>
-      <p class="text-gray-600 text-sm mb-1"><span class="font-medium">Ibu Kota:</span> ${capital}</p>
-      <p class="text-gray-600 text-sm mb-1"><span class="font-medium">Benua:</span> ${country.region}</p>
-      <p class="text-gray-600 text-sm"><span class="font-medium">Populasi:</span> ${population}</p>
-    </div>
-  `;
   
-  // Add click event to open modal
-  card.addEventListener('click', () => openModal(country.cca3));
+  if (facetKey === 'language' || facetKey === 'currency') {
+    const field = facetKey === 'language' ? 'languages' : 'currencies';
+    const country = allCountries.find(c => c[field] && c[field][value]);
+    if (!country) return value;
+    
+    const entry = country[field][value];
+    return facetKey === 'language' ? entry : `${value} – ${entry.name}`;
+  }
   
-  return card;
+  return value;
 }
 
-// Render pagination controls
-function renderPagination(totalItems, totalPages) {
-  if (totalPages <= 1) {
-    pagination.innerHTML = '';
-    return;
-  }
-  
-  const startItem = (currentPage - 1) * itemsPerPage + 1;
-  const endItem = Math.min(currentPage * itemsPerPage, totalItems);
-  
-  let paginationHTML = `
-    <div class="flex justify-center items-center gap-2">
-  `;
+// Build the facet checkboxes and range sliders from the loaded dataset
+function renderFilterPanel() {
+  // Drop selections that no longer exist in the dataset
+  Object.keys(FACETS).forEach(key => {
+    const available = new Set(allCountries.flatMap(country => FACETS[key].getValues(country)));
+    activeFilters[key] = activeFilters[key].filter(value => available.has(value));
+  });
   
-  // Previous button
-  if (currentPage > 1) {
-    paginationHTML += `
-      <button 
-        onclick="changePage(${currentPage - 1})" 
-        class="pagination-btn px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
-      >
-        ← Sebelumnya
-      </button>
+  facetGroups.innerHTML = Object.keys(FACETS).map(key => {
+    const options = [...new Set(allCountries.flatMap(country => FACETS[key].getValues(country)))]
+      .map(value => ({ value, label: getFacetOptionLabel(key, value) }))
+      .sort((a, b) => a.label.localeCompare(b.label, getLocale()));
+    
+    return `
+      <div>
+        <h4 class="text-sm font-semibold text-gray-700 mb-2">${t(FACETS[key].labelKey)}</h4>
+        <div class="facet-options max-h-48 overflow-y-auto pr-2 space-y-1">
+          ${options.map(option => `
+            <label class="facet-option flex items-center justify-between gap-2 text-sm text-gray-600 cursor-pointer" data-facet="${key}" data-value="${escapeHTML(option.value)}">
+              <span class="flex items-center gap-2">
+                <input type="checkbox" class="rounded" data-facet="${key}" value="${escapeHTML(option.value)}" ${activeFilters[key].includes(option.value) ? 'checked' : ''}>
+                ${escapeHTML(option.label)}
+              </span>
+              <span class="facet-count text-xs text-gray-400">0</span>
+            </label>
+          `).join('')}
+        </div>
+      </div>
     `;
-  }
+  }).join('');
   
-  // Page numbers
-  const startPage = Math.max(1, currentPage - 2);
-  const endPage = Math.min(totalPages, currentPage + 2);
+  // Slider bounds come from the positive values in the dataset
+  rangeFilters.innerHTML = Object.keys(RANGE_FILTERS).map(key => {
+    const values = allCountries.map(country => RANGE_FILTERS[key].getValue(country)).filter(value => value > 0);
+    rangeBounds[key] = values.length > 0
+      ? { min: Math.min(...values), max: Math.max(...values) }
+      : { min: 1, max: 1 };
+    
+    const { min, max } = activeFilters[key];
+    return `
+      <div>
+        <h4 class="text-sm font-semibold text-gray-700 mb-2">${t(RANGE_FILTERS[key].labelKey)} (${t(RANGE_FILTERS[key].unitKey)})</h4>
+        <p class="text-xs text-gray-500 mb-2" data-range-label="${key}"></p>
+        <input type="range" class="w-full" data-range="${key}" data-bound="min" min="0" max="${RANGE_SLIDER_STEPS}" value="${min === null ? 0 : rangeValueToSlider(key, min)}">
+        <input type="range" class="w-full" data-range="${key}" data-bound="max" min="0" max="${RANGE_SLIDER_STEPS}" value="${max === null ? RANGE_SLIDER_STEPS : rangeValueToSlider(key, max)}">
+      </div>
+    `;
+  }).join('');
   
-  for (let i = startPage; i <= endPage; i++) {
+  Object.keys(RANGE_FILTERS).forEach(updateRangeLabel);
+  localTimeFrom.value = activeFilters.localTime.from || '';
+  localTimeTo.value = activeFilters.localTime.to || '';
+  updateFilterToggle();
+}
+
+// Refresh the count next to every facet option for the current result set
+function updateFacetCounts(countries) {
+  Object.keys(FACETS).forEach(key => {
+    const counts = {};
+    countries.forEach(country => {
+      if (!matchesFilters(country, key)) return;
+      FACETS[key].getValues(country).forEach(value => {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+    });
+    
+    facetGroups.querySelectorAll(`.facet-option[data-facet="${key}"]`).forEach(option => {
+      const count = counts[option.dataset.value] || 0;
+      option.querySelector('.facet-count').textContent = count;
+      option.classList.toggle('opacity-40', count === 0);
+    });
+  });
+}
+
+// Convert a slider position to a value on a logarithmic scale
+function rangeSliderToValue(key, position) {
+  const logMin = Math.log10(rangeBounds[key].min);
+  const logMax = Math.log10(rangeBounds[key].max);
+  const value = Math.pow(10, logMin + (position / RANGE_SLIDER_STEPS) * (logMax - logMin));
+  return roundToSignificant(value, 2);
+}
+
+// Convert a value back to its slider position
+function rangeValueToSlider(key, value) {
+  const logMin = Math.log10(rangeBounds[key].min);
+  const logMax = Math.log10(rangeBounds[key].max);
+  if (logMax === logMin || value <= 0) return 0;
+  const position = Math.round(((Math.log10(value) - logMin) / (logMax - logMin)) * RANGE_SLIDER_STEPS);
+  return Math.min(RANGE_SLIDER_STEPS, Math.max(0, position));
+}
+
+// Round to a number of significant digits (e.g. 10,234,567 -> 10,000,000)
+function roundToSignificant(value, digits) {
+  if (value === 0) return 0;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(Math.abs(value))) - digits + 1);
+  return Math.round(value / magnitude) * magnitude;
+}
+
+// Show the selected min/max of a range filter
+function updateRangeLabel(key) {
+  const { min, max } = activeFilters[key];
+  const label = rangeFilters.querySelector(`[data-range-label="${key}"]`);
+  if (!label) return;
+  
+  const minText = min === null ? t('common.all') : formatNumber(min);
+  const maxText = max === null ? t('common.all') : formatNumber(max);
+  label.textContent = min === null && max === null ? t('range.noLimit') : `${minText} – ${maxText}`;
+}
+
+// Show how many filters are active on the toggle button
+function updateFilterToggle() {
+  const count = countActiveFilters();
+  filterToggle.textContent = count > 0 ? t('filter.toggleCount', { count }) : t('filter.toggle');
+  filterToggle.classList.toggle('ring-2', count > 0);
+  filterToggle.classList.toggle('ring-blue-500', count > 0);
+}
+
+// Handle facet checkbox changes
+function handleFacetChange(e) {
+  const checkbox = e.target;
+  if (!checkbox.dataset.facet) return;
+  
+  const selected = activeFilters[checkbox.dataset.facet];
+  if (checkbox.checked) {
+    selected.push(checkbox.value);
+  } else {
+    selected.splice(selected.indexOf(checkbox.value), 1);
+  }
+  
+  currentPage = 1; // Reset to first page
+  updateFilterToggle();
+  applyFiltersAndSort();
+}
+
+// Handle range slider movement
+function handleRangeInput(e) {
+  const slider = e.target;
+  const key = slider.dataset.range;
+  if (!key) return;
+  
+  const minSlider = rangeFilters.querySelector(`[data-range="${key}"][data-bound="min"]`);
+  const maxSlider = rangeFilters.querySelector(`[data-range="${key}"][data-bound="max"]`);
+  
+  // Keep min <= max by pushing the other handle
+  if (Number(minSlider.value) > Number(maxSlider.value)) {
+    if (slider === minSlider) {
+      maxSlider.value = minSlider.value;
+    } else {
+      minSlider.value = maxSlider.value;
+    }
+  }
+  
+  // Sliders at the outer ends mean "no limit"
+  const minPosition = Number(minSlider.value);
+  const maxPosition = Number(maxSlider.value);
+  activeFilters[key] = {
+    min: minPosition === 0 ? null : rangeSliderToValue(key, minPosition),
+    max: maxPosition === RANGE_SLIDER_STEPS ? null : rangeSliderToValue(key, maxPosition)
+  };
+  
+  currentPage = 1; // Reset to first page
+  updateRangeLabel(key);
+  updateFilterToggle();
+  applyFiltersAndSort();
+}
+
+// Set the local time window ("HH:MM" strings, null for an open end)
+function setLocalTimeFilter(from, to) {
+  activeFilters.localTime = { from, to };
+  localTimeFrom.value = from || '';
+  localTimeTo.value = to || '';
+  
+  currentPage = 1; // Reset to first page
+  updateFilterToggle();
+  updateURL('push');
+  applyFiltersAndSort();
+}
+
+// Codes of the countries currently inside the local time window ('' when the filter is off)
+function getLocalHoursSnapshot() {
+  const { from, to } = activeFilters.localTime;
+  if (from === null && to === null) return '';
+  return allCountries.filter(country => isWithinLocalHours(country, from, to)).map(country => country.cca3).join(',');
+}
+
+// Tick every clock at the start of each minute
+function scheduleClockTick() {
+  setTimeout(() => {
+    handleClockTick();
+    scheduleClockTick();
+  }, 60000 - Date.now() % 60000);
+}
+
+// Advance the clocks and re-apply the local time filter when countries enter or leave the window
+function handleClockTick() {
+  updateClocks();
+  
+  if (allCountries.length > 0 && getLocalHoursSnapshot() !== localHoursSnapshot) {
+    applyFiltersAndSort();
+  }
+}
+
+// Clear all facets and ranges
+function resetFilters() {
+  activeFilters = createEmptyFilters();
+  currentPage = 1;
+  renderFilterPanel();
+  applyFiltersAndSort();
+}
+
+// Render countries with pagination, or as a virtualized list in scroll mode
+function renderCountriesWithPagination(countries) {
+  const totalPages = Math.ceil(countries.length / itemsPerPage);
+  
+  // A restored or stale page number may be out of range
+  currentPage = Math.max(1, Math.min(currentPage, totalPages));
+  
+  // Show/hide no results
+  if (countries.length === 0) {
+    resetVirtualGrid();
+    countriesGrid.classList.add('hidden');
+    groupedView.classList.add('hidden');
+    noResults.classList.remove('hidden');
+    pagination.classList.add('hidden');
+    return;
+  }
+  noResults.classList.add('hidden');
+  
+  // Grouped view shows every result in collapsible sections instead of pages
+  const isGrouped = groupBy !== 'none';
+  countriesGrid.classList.toggle('hidden', isGrouped);
+  groupedView.classList.toggle('hidden', !isGrouped);
+  pagination.classList.toggle('hidden', isGrouped);
+  if (isGrouped) {
+    resetVirtualGrid();
+    countriesGrid.innerHTML = '';
+    renderGroupedView(countries);
+    return;
+  }
+  groupedView.innerHTML = '';
+  
+  if (displayMode === 'scroll') {
+    renderVirtualGrid(countries);
+    pagination.innerHTML = `<p class="text-center text-sm text-gray-500">${t('pagination.scrollCount', { count: formatNumber(countries.length) })}</p>`;
+    return;
+  }
+  
+  resetVirtualGrid();
+  const startIndex = (currentPage - 1) * itemsPerPage;
+  const endIndex = startIndex + itemsPerPage;
+  
+  // Render country cards
+  renderCountries(countries.slice(startIndex, endIndex));
+  
+  // Render pagination
+  renderPagination(countries.length, totalPages);
+}
+
+// Tell screen readers how many countries match, when the number changes
+function announceResults(count) {
+  const message = t('a11y.results', { count: formatNumber(count) });
+  if (resultsAnnouncer.textContent !== message) {
+    resultsAnnouncer.textContent = message;
+  }
+}
+
+// Number of columns a responsive card grid currently lays out
+function getGridColumnCount(grid = countriesGrid) {
+  const template = getComputedStyle(grid).gridTemplateColumns;
+  if (!template || template === 'none') return 1;
+  return Math.max(1, template.trim().split(/\s+/).length);
+}
+
+// Switch the grid to virtualized rendering for the given result set
+function renderVirtualGrid(countries) {
+  if (!virtualGrid) {
+    countriesGrid.classList.add('virtual-grid');
+    countriesGrid.style.gridAutoRows = '';
+  }
+  
+  virtualGrid = {
+    countries,
+    columns: getGridColumnCount(),
+    rowHeight: virtualGrid ? virtualGrid.rowHeight : null,
+    start: 0,
+    end: 0,
+    firstVisibleIndex: 0
+  };
+  updateVirtualGrid(true);
+}
+
+// Render only the rows in and near the viewport; padding stands in for the rows above and below
+function updateVirtualGrid(force = false) {
+  if (!virtualGrid) return;
+  
+  const { countries, columns } = virtualGrid;
+  const rowGap = parseFloat(getComputedStyle(countriesGrid).rowGap) || 0;
+  const stride = (virtualGrid.rowHeight || DEFAULT_CARD_HEIGHT) + rowGap;
+  const totalRows = Math.ceil(countries.length / columns);
+  
+  // Viewport position relative to the top of the grid
+  const viewTop = window.scrollY - (countriesGrid.getBoundingClientRect().top + window.scrollY);
+  const lastRow = Math.min(totalRows, Math.ceil((viewTop + window.innerHeight) / stride) + VIRTUAL_OVERSCAN_ROWS);
+  const firstRow = Math.min(lastRow, Math.max(0, Math.floor(viewTop / stride) - VIRTUAL_OVERSCAN_ROWS));
+  const start = firstRow * columns;
+  const end = Math.min(countries.length, lastRow * columns);
+  
+  virtualGrid.firstVisibleIndex = Math.min(countries.length - 1, Math.max(0, Math.floor(viewTop / stride)) * columns);
+  if (!force && start === virtualGrid.start && end === virtualGrid.end) return;
+  
+  virtualGrid.start = start;
+  virtualGrid.end = end;
+  countriesGrid.style.paddingTop = `${firstRow * stride}px`;
+  countriesGrid.style.paddingBottom = `${(totalRows - lastRow) * stride}px`;
+  renderCountries(countries.slice(start, end));
+  
+  // Every row gets the height of the tallest card seen so far, so row offsets stay predictable
+  const tallest = Math.max(0, ...[...countriesGrid.children].map(card => card.scrollHeight));
+  if (tallest > (virtualGrid.rowHeight || 0)) {
+    virtualGrid.rowHeight = tallest;
+    countriesGrid.style.gridAutoRows = `${tallest}px`;
+    updateVirtualGrid(true);
+  }
+}
+
+// Update the virtualized grid at most once per frame while scrolling
+function scheduleVirtualGridUpdate() {
+  if (!virtualGrid || virtualGridFrame !== null) return;
+  
+  virtualGridFrame = requestAnimationFrame(() => {
+    virtualGridFrame = null;
+    updateVirtualGrid();
+  });
+}
+
+// Column count and card height change with the viewport width, so measure again
+function handleVirtualGridResize() {
+  if (!virtualGrid) return;
+  
+  virtualGrid.columns = getGridColumnCount();
+  virtualGrid.rowHeight = null;
+  countriesGrid.style.gridAutoRows = '';
+  updateVirtualGrid(true);
+}
+
+// Leave virtualized rendering: drop the padding and the fixed row height
+function resetVirtualGrid() {
+  if (!virtualGrid) return;
+  
+  virtualGrid = null;
+  countriesGrid.classList.remove('virtual-grid');
+  countriesGrid.style.paddingTop = '';
+  countriesGrid.style.paddingBottom = '';
+  countriesGrid.style.gridAutoRows = '';
+}
+
+// Switch between paginated and infinite-scroll display
+function changeDisplayMode(mode) {
+  if (!DISPLAY_MODES.includes(mode) || mode === displayMode) return;
+  
+  // Going back to pages, open the page holding the first country that was on screen
+  currentPage = virtualGrid ? Math.floor(virtualGrid.firstVisibleIndex / itemsPerPage) + 1 : 1;
+  displayMode = mode;
+  saveDisplayPreferences();
+  updateDisplayControls();
+  applyFiltersAndSort();
+  
+  if (mode === 'scroll') {
+    countriesGrid.scrollIntoView({ block: 'start' });
+  }
+}
+
+// Change the number of cards per page, staying on the page that holds the current first card
+function changePageSize(size) {
+  if (!PAGE_SIZE_OPTIONS.includes(size)) return;
+  
+  const firstIndex = (currentPage - 1) * itemsPerPage;
+  itemsPerPage = size;
+  currentPage = Math.floor(firstIndex / size) + 1;
+  saveDisplayPreferences();
+  applyFiltersAndSort();
+}
+
+// Page size choices, labelled in the current language
+function renderPageSizeOptions() {
+  pageSizeSelect.innerHTML = PAGE_SIZE_OPTIONS
+    .map(size => `<option value="${size}">${t('display.pageSize', { count: size })}</option>`)
+    .join('');
+  pageSizeSelect.value = String(itemsPerPage);
+}
+
+// Sync the display controls with the current mode, page size and grouping
+function updateDisplayControls() {
+  displayModeSelect.value = displayMode;
+  pageSizeSelect.value = String(itemsPerPage);
+  groupBySelect.value = groupBy;
+  displayModeSelect.classList.toggle('hidden', groupBy !== 'none');
+  pageSizeSelect.classList.toggle('hidden', displayMode === 'scroll' || groupBy !== 'none');
+}
+
+// Group the results into sections, or go back to the plain grid with 'none'
+function changeGroupBy(value) {
+  if (value !== 'none' && !Object.hasOwn(GROUP_BY_OPTIONS, value)) return;
+  
+  groupBy = value;
+  currentPage = 1;
+  saveDisplayPreferences();
+  updateDisplayControls();
+  applyFiltersAndSort();
+}
+
+// Expand or collapse one section of the grouped view
+function toggleGroup(groupKey) {
+  const expanded = expandedGroups[groupBy] || [];
+  expandedGroups[groupBy] = expanded.includes(groupKey)
+    ? expanded.filter(key => key !== groupKey)
+    : [...expanded, groupKey];
+  saveDisplayPreferences();
+  renderGroupedView(currentResults);
+}
+
+// Expand or collapse every section of the grouped view
+function setAllGroupsExpanded(expand) {
+  expandedGroups[groupBy] = expand ? buildCountryGroups(currentResults, groupBy).map(group => group.key) : [];
+  saveDisplayPreferences();
+  renderGroupedView(currentResults);
+}
+
+// Render country cards
+function renderCountries(countries) {
+  // Keep keyboard focus on the same country across re-renders
+  const focusedCard = countriesGrid.contains(document.activeElement) ? document.activeElement.closest('.country-card') : null;
+  
+  // Cards are keyed by cca3: unchanged cards stay in place, only missing or stale ones are built
+  const existingCards = new Map([...countriesGrid.children].map(card => [card.dataset.countryCode, card]));
+  let previousCard = null;
+  countries.forEach((country, index) => {
+    const renderKey = getCardRenderKey(country);
+    let card = existingCards.get(country.cca3);
+    existingCards.delete(country.cca3);
+    
+    if (!card || card.dataset.renderKey !== renderKey) {
+      const freshCard = createCountryCard(country, index);
+      freshCard.dataset.renderKey = renderKey;
+      if (card) card.remove();
+      card = freshCard;
+    }
+    
+    const expectedPosition = previousCard ? previousCard.nextSibling : countriesGrid.firstChild;
+    if (card !== expectedPosition) {
+      countriesGrid.insertBefore(card, expectedPosition);
+    }
+    previousCard = card;
+  });
+  existingCards.forEach(card => card.remove());
+  
+  // Update all favorite buttons and travel dropdowns to ensure correct state
+  updateAllFavoriteButtons();
+  updateTravelSelects();
+  
+  if (focusedCard) {
+    focusCountryCard(focusedCard.dataset.countryCode);
+  }
+}
+
+// Everything a card's markup depends on besides favorite, compare and travel state, which
+// updateAllFavoriteButtons, updateCompareButtons and updateTravelSelects keep current on existing cards
+function getCardRenderKey(country) {
+  const item = getCollectionItem(country.cca3);
+  return [
+    datasetVersion,
+    currentLanguage,
+    searchTerms.join(' '),
+    isSortedBy(currentSort, 'distance') ? homeCountryCode : '',
+    item ? item.tags.join(',') : ''
+  ].join('|');
+}
+
+// Focus the card of a country if it is rendered (returns whether it was)
+function focusCountryCard(countryCode) {
+  const card = countriesGrid.querySelector(`.country-card[data-country-code="${countryCode}"]`);
+  if (card) card.focus({ preventScroll: true });
+  return Boolean(card);
+}
+
+// Title, screen-reader label and pressed state of a favorite button
+function setFavoriteButtonState(button, isFavorite) {
+  const label = isFavorite ? t('favorites.remove') : t('favorites.add');
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.setAttribute('aria-pressed', String(isFavorite));
+}
+
+// Create individual country card
+function createCountryCard(country, index) {
+  const card = document.createElement('div');
+  card.className = 'country-card cursor-pointer relative';
+  card.style.animationDelay = `${index * 0.1}s`;
+  
+  const isFavorite = favorites.includes(country.cca3);
+  const isCompared = compareList.includes(country.cca3);
+  const population = formatNumber(country.population);
+  const capital = country.capital && country.capital[0] ? country.capital[0] : '—';
+  const name = getCountryName(country);
+  
+  // The whole card opens the modal; its buttons carry their own actions
+  card.dataset.action = 'open-country';
+  
+  // Cards are reachable with Tab and announced with their key facts
+  card.tabIndex = 0;
+  card.dataset.countryCode = country.cca3;
+  card.setAttribute('role', 'listitem');
+  card.setAttribute('aria-label', t('a11y.card', { name, capital, region: translateRegion(country.region), population }));
+  
+  // Static map preview (the interactive map is in the modal) if coordinates are available
+  let mapPreview = '';
+  if (country.latlng && country.latlng.length === 2) {
+    const [lat, lng] = country.latlng.map(Number);
+    mapPreview = renderMapPreview(lat, lng);
+  }
+
+  card.innerHTML = `
+    <div class="relative">
+      <img 
+        src="${escapeHTML(country.flags.png)}" 
+        alt="${escapeHTML(getFlagAlt(country))}" 
+        class="flag-img"
+        loading="lazy"
+      >
+      <button 
+        class="favorite-btn absolute top-2 right-2 text-xl ${isFavorite ? 'favorited' : ''}"
+        data-action="toggle-favorite"
+        data-country-code="${escapeHTML(country.cca3)}"
+        title="${isFavorite ? t('favorites.remove') : t('favorites.add')}"
+        aria-label="${isFavorite ? t('favorites.remove') : t('favorites.add')}"
+        aria-pressed="${isFavorite}"
+      >
+        ${isFavorite ? '❤️' : '🤍'}
+      </button>
+      <button 
+        class="compare-btn absolute top-2 left-2 text-sm ${isCompared ? 'compared' : ''}"
+        data-action="toggle-compare"
+        data-country-code="${escapeHTML(country.cca3)}"
+        title="${isCompared ? t('compare.remove') : t('compare.add')}"
+        aria-label="${isCompared ? t('compare.remove') : t('compare.add')}"
+        aria-pressed="${isCompared}"
+      >
+        ⚖️
+      </button>
+    </div>
+    <div class="p-4">
+      <h3 class="font-semibold text-lg text-gray-800 mb-2">${highlightMatches(name, searchTerms)}</h3>
+      <p class="text-gray-600 text-sm mb-1"><span class="font-medium">${t('card.capital')}:</span> ${highlightMatches(capital, searchTerms)}</p>
+      <p class="text-gray-600 text-sm mb-1"><span class="font-medium">${t('card.region')}:</span> ${escapeHTML(translateRegion(country.region))}</p>
+      <p class="text-gray-600 text-sm"><span class="font-medium">${t('card.population')}:</span> ${population}</p>
+      ${renderCardClock(country)}
+      ${renderCardDistance(country)}
+      <div class="mt-2">${renderTravelSelect(travelLog, country.cca3)}</div>
+      ${renderCollectionTags(country.cca3)}
+      ${mapPreview}
+    </div>
+  `;
+  
+  return card;
+}
+
+// Render pagination controls
+function renderPagination(totalItems, totalPages) {
+  if (totalPages <= 1) {
+    pagination.innerHTML = '';
+    return;
+  }
+  
+  const startItem = (currentPage - 1) * itemsPerPage + 1;
+  const endItem = Math.min(currentPage * itemsPerPage, totalItems);
+  
+  let paginationHTML = `
+    <div class="flex flex-wrap justify-center items-center gap-2">
+  `;
+  
+  // First and previous buttons
+  if (currentPage > 1) {
+    paginationHTML += `
+      <button 
+        data-action="change-page" 
+        data-page="1" 
+        class="pagination-btn px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+      >
+        ${t('pagination.first')}
+      </button>
+      <button 
+        data-action="change-page" 
+        data-page="${currentPage - 1}" 
+        class="pagination-btn px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+      >
+        ${t('pagination.previous')}
+      </button>
+    `;
+  }
+  
+  // Page numbers
+  const startPage = Math.max(1, currentPage - 2);
+  const endPage = Math.min(totalPages, currentPage + 2);
+  
+  for (let i = startPage; i <= endPage; i++) {
     const isActive = i === currentPage;
     paginationHTML += `
       <button 
-        onclick="changePage(${i})" 
+        data-action="change-page" 
+        data-page="${i}" 
         class="pagination-btn px-3 py-2 border border-gray-300 rounded-lg text-sm ${isActive ? 'active' : 'bg-white text-gray-700 hover:bg-gray-50'}"
       >
         ${i}
@@ -434,29 +1617,58 @@ function renderPagination(totalItems, totalPages) {
   if (currentPage < totalPages) {
     paginationHTML += `
       <button 
-        onclick="changePage(${currentPage + 1})" 
+        data-action="change-page" 
+        data-page="${currentPage + 1}" 
+        class="pagination-btn px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+      >
+        ${t('pagination.next')}
+      </button>
+      <button 
+        data-action="change-page" 
+        data-page="${totalPages}" 
         class="pagination-btn px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
       >
-        Selanjutnya →
+        ${t('pagination.last')}
       </button>
     `;
   }
   
   paginationHTML += '</div>';
+  
+  // Range summary and jump-to-page input
+  paginationHTML += `
+    <div class="flex flex-wrap justify-center items-center gap-4 mt-3 text-sm text-gray-500">
+      <span>${t('pagination.summary', { start: formatNumber(startItem), end: formatNumber(endItem), total: formatNumber(totalItems) })}</span>
+      <label class="flex items-center gap-2">
+        ${t('pagination.jump')}
+        <input 
+          type="number" 
+          min="1" 
+          max="${totalPages}" 
+          value="${currentPage}" 
+          data-action="jump-to-page" 
+          class="page-jump px-2 py-1 border border-gray-300 rounded-lg text-gray-700"
+        >
+        ${t('pagination.of', { total: formatNumber(totalPages) })}
+      </label>
+    </div>
+  `;
   pagination.innerHTML = paginationHTML;
 }
 
 // Change page
 function changePage(page) {
-  currentPage = page;
+  const totalPages = Math.max(1, Math.ceil(currentResults.length / itemsPerPage));
+  currentPage = Math.max(1, Math.min(Math.floor(page) || 1, totalPages));
+  updateURL('push');
   applyFiltersAndSort();
   
   // Scroll to top of countries grid
   countriesGrid.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
-// Toggle favorite status
-function toggleFavorite(countryCode) {
+// Toggle favorite status (the clicked button, if any, gets the heart animation)
+function toggleFavorite(countryCode, button = null) {
   const index = favorites.indexOf(countryCode);
   
   if (index > -1) {
@@ -468,16 +1680,19 @@ function toggleFavorite(countryCode) {
   saveFavorites();
   
   // Add heart animation
-  const heartBtn = event.target;
-  heartBtn.classList.add('heart-animation');
-  setTimeout(() => heartBtn.classList.remove('heart-animation'), 600);
+  if (button) {
+    button.classList.add('heart-animation');
+    setTimeout(() => button.classList.remove('heart-animation'), 600);
+  }
   
   // Update all favorite buttons for this country
   updateFavoriteButtons(countryCode);
   
-  // Re-render if showing favorites only
+  // Re-render if showing favorites only; otherwise only the map can show favorite status
   if (showFavoritesOnly) {
     applyFiltersAndSort();
+  } else {
+    renderMap(currentResults);
   }
 }
 
@@ -486,15 +1701,17 @@ function updateFavoriteButtons(countryCode) {
   const isFavorite = favorites.includes(countryCode);
   
   // Update card favorite buttons
-  const cardButtons = document.querySelectorAll(`[onclick*="toggleFavorite('${countryCode}')"]`);
-  cardButtons.forEach(button => {
+  const cardButtons = document.querySelectorAll('.favorite-btn[data-country-code]');
+  [...cardButtons].filter(button => button.dataset.countryCode === countryCode).forEach(button => {
     button.textContent = isFavorite ? '❤️' : '🤍';
     button.className = `favorite-btn absolute top-2 right-2 text-xl ${isFavorite ? 'favorited' : ''}`;
+    setFavoriteButtonState(button, isFavorite);
   });
   
-  // Update modal favorite button if it's for the same country
+  // Update modal favorite button and notes if it's for the same country
   if (modalFavoriteBtn.dataset.countryCode === countryCode) {
     updateModalFavoriteButton();
+    updateCollectionNotes();
   }
 }
 
@@ -502,7 +1719,7 @@ function updateFavoriteButtons(countryCode) {
 function handleModalFavorite() {
   const countryCode = modalFavoriteBtn.dataset.countryCode;
   if (countryCode) {
-    toggleFavorite(countryCode);
+    toggleFavorite(countryCode, modalFavoriteBtn);
     updateModalFavoriteButton();
   }
 }
@@ -514,26 +1731,47 @@ function updateModalFavoriteButton() {
   
   modalFavoriteBtn.textContent = isFavorite ? '❤️' : '🤍';
   modalFavoriteBtn.className = `text-xl hover:scale-110 transition-transform ${isFavorite ? 'favorited' : ''}`;
+  setFavoriteButtonState(modalFavoriteBtn, isFavorite);
 }
 
-// Open country modal
-function openModal(countryCode) {
-  const country = allCountries.find(c => c.cca3 === countryCode);
+// Open country modal. Pass { fromHistory: true } when the URL already points at this country.
+function openModal(countryCode, options = {}) {
+  const country = getCountryByCode(countryCode);
   if (!country) return;
   
+  // Give the open country its own history entry so Back closes the modal
+  if (!options.fromHistory && openCountryCode !== countryCode) {
+    openCountryCode = countryCode;
+    modalHistoryDepth++;
+    updateURL('push');
+  }
+  openCountryCode = countryCode;
+  
   // Set modal title
-  modalTitle.textContent = country.name.official;
+  modalTitle.textContent = getOfficialCountryName(country);
   
   // Set favorite button
   modalFavoriteBtn.dataset.countryCode = countryCode;
   updateModalFavoriteButton();
+  modalCompareBtn.dataset.countryCode = countryCode;
+  updateCompareButtons();
   
   // Generate modal content
   modalContent.innerHTML = generateModalContent(country);
+  modalContent.parentElement.scrollTop = 0;
   
-  // Show modal
+  // Show modal, remembering where the page was scrolled to and what had focus
+  if (countryModal.classList.contains('hidden')) {
+    savedScrollY = window.scrollY;
+    modalReturnFocus = document.activeElement;
+  }
   countryModal.classList.remove('hidden');
   document.body.style.overflow = 'hidden';
+  
+  // Move focus into the dialog so the new title is announced
+  if (!countryDialog.contains(document.activeElement)) {
+    countryDialog.focus();
+  }
 }
 
 // Generate modal content
@@ -551,48 +1789,53 @@ function generateModalContent(country) {
     // Safe access to country properties with fallbacks
     const population = formatNumber(country.population);
     const area = country.area ? formatNumber(country.area) : 'N/A';
-    const capital = country.capital && Array.isArray(country.capital) ? country.capital.join(', ') : 'N/A';
+    const name = escapeHTML(getCountryName(country));
+    const capital = country.capital && Array.isArray(country.capital) ? escapeHTML(country.capital.join(', ')) : 'N/A';
     
     // Handle languages - check if it exists and is an object
     let languages = 'N/A';
     if (country.languages && typeof country.languages === 'object') {
-      languages = Object.values(country.languages).join(', ');
+      languages = escapeHTML(Object.values(country.languages).join(', '));
     }
     
     // Handle currencies - check if it exists and is an object
     let currencies = 'N/A';
     if (country.currencies && typeof country.currencies === 'object') {
-      currencies = Object.values(country.currencies).map(c => `${c.name} (${c.symbol})`).join(', ');
+      currencies = escapeHTML(Object.values(country.currencies).map(c => `${c.name} (${c.symbol})`).join(', '));
     }
     
-    const borders = country.borders && Array.isArray(country.borders) ? country.borders.join(', ') : 'None';
-    const timezones = country.timezones && Array.isArray(country.timezones) ? country.timezones.join(', ') : 'N/A';
-    
-    // Convert border codes to country names if possible
-    let borderNames = 'Tidak ada';
+    // Convert border codes to clickable country links
+    let borderNames = t('common.none');
     if (country.borders && Array.isArray(country.borders) && country.borders.length > 0) {
-      // Try to get country names from allCountries array
-      const borderCountryNames = country.borders.map(code => {
-        const borderCountry = allCountries.find(c => c.cca3 === code);
-        return borderCountry ? borderCountry.name.common : code;
-      });
-      borderNames = borderCountryNames.join(', ');
+      borderNames = country.borders.map(renderCountryLink).join(', ');
     }
     
+    // Destination options for the land route and distance tools
+    const otherCountries = [...allCountries]
+      .filter(c => c.cca3 !== country.cca3)
+      .map(c => ({ code: c.cca3, name: getCountryName(c) }))
+      .sort((a, b) => a.name.localeCompare(b.name, getLocale()));
+    const routeOptions = otherCountries
+      .map(c => `<option value="${escapeHTML(c.code)}">${escapeHTML(c.name)}</option>`)
+      .join('');
+    const distanceOptions = otherCountries
+      .map(c => `<option value="${escapeHTML(c.code)}" ${c.code === homeCountryCode ? 'selected' : ''}>${escapeHTML(c.name)}</option>`)
+      .join('');
+    
     // Get native name (first available)
     let nativeName = 'N/A';
     if (country.name && country.name.nativeName) {
       const firstNative = Object.values(country.name.nativeName)[0];
-      nativeName = firstNative.common || firstNative.official || 'N/A';
+      nativeName = escapeHTML((firstNative && (firstNative.common || firstNative.official)) || country.name.common);
     }
     
     // Generate map iframe (using capital coordinates if available)
     let mapIframe = '';
     if (country.latlng && country.latlng.length === 2) {
-      const [lat, lng] = country.latlng;
+      const [lat, lng] = country.latlng.map(Number);
       mapIframe = `
         <div class="info-card">
-          <h4>🗺️ Peta</h4>
+          <h4>${t('modal.map')}</h4>
           <iframe 
             src="https://www.openstreetmap.org/export/embed.html?bbox=${lng-2},${lat-2},${lng+2},${lat+2}&layer=mapnik&marker=${lat},${lng}"
             class="map-iframe"
@@ -601,10 +1844,10 @@ function generateModalContent(country) {
         </div>
       `;
     } else if (country.capitalInfo && country.capitalInfo.latlng && country.capitalInfo.latlng.length === 2) {
-      const [lat, lng] = country.capitalInfo.latlng;
+      const [lat, lng] = country.capitalInfo.latlng.map(Number);
       mapIframe = `
         <div class="info-card">
-          <h4>🗺️ Interactive Map (Capital)</h4>
+          <h4>${t('modal.mapCapital')}</h4>
           <iframe 
             src="https://www.openstreetmap.org/export/embed.html?bbox=${lng-2},${lat-2},${lng+2},${lat+2}&layer=mapnik&marker=${lat},${lng}"
             class="map-iframe"
@@ -618,69 +1861,140 @@ function generateModalContent(country) {
              <!-- Header Section -->
              <div class="text-center mb-6">
                <img 
-                 src="${country.flags && country.flags.png ? country.flags.png : 'https://via.placeholder.com/300x200?text=Bendera+Tidak+Tersedia'}" 
-                 alt="${country.flags && country.flags.alt ? country.flags.alt : country.name.common + ' flag'}" 
+                 src="${country.flags && country.flags.png ? escapeHTML(country.flags.png) : 'https://via.placeholder.com/300x200?text=Bendera+Tidak+Tersedia'}" 
+                 alt="${escapeHTML(getFlagAlt(country))}" 
                  class="modal-flag mx-auto mb-4"
                >
-               <h2 class="text-xl font-semibold text-gray-800 mb-2">${country.name && country.name.official ? country.name.official : country.name.common}</h2>
+               <h2 class="text-xl font-semibold text-gray-800 mb-2">${escapeHTML(getOfficialCountryName(country))}</h2>
                <p class="text-gray-600 text-sm">${nativeName}</p>
              </div>
              
+             <!-- Collection note & tags -->
+             <div id="collectionNotes">${generateCollectionNotes(country.cca3)}</div>
+             
+             <!-- Travel status -->
+             <div class="info-card">
+               <h4>${t('travel.modalTitle')}</h4>
+               <div id="travelControl">${renderTravelControl(travelLog, country.cca3)}</div>
+             </div>
+             
              <!-- Identitas & Geografi -->
              <div class="info-card">
-               <h4>Ibu Kota</h4>
+               <h4>${t('modal.capital')}</h4>
                <p>${capital}</p>
              </div>
              
              <div class="info-card">
-               <h4>Wilayah</h4>
-               <p><strong>Benua:</strong> ${country.region || 'Tidak tersedia'}</p>
-               <p><strong>Subwilayah:</strong> ${country.subregion || 'Tidak tersedia'}</p>
-               <p><strong>Kontinen:</strong> ${country.continents && country.continents.length > 0 ? country.continents.join(', ') : (country.region || 'Tidak tersedia')}</p>
+               <h4>${t('modal.location')}</h4>
+               <p><strong>${t('modal.region')}:</strong> ${country.region ? escapeHTML(translateRegion(country.region)) : t('common.notAvailable')}</p>
+               <p><strong>${t('modal.subregion')}:</strong> ${escapeHTML(country.subregion) || t('common.notAvailable')}</p>
+               <p><strong>${t('modal.continents')}:</strong> ${country.continents && country.continents.length > 0 ? escapeHTML(country.continents.join(', ')) : (escapeHTML(country.region) || t('common.notAvailable'))}</p>
              </div>
              
              <div class="info-card">
-               <h4>Populasi</h4>
-               <p>${population} jiwa</p>
+               <h4>${t('modal.population')}</h4>
+               <p>${population} ${t('unit.people')}</p>
              </div>
              
              <div class="info-card">
-               <h4>Luas Wilayah</h4>
-               <p>${area !== 'N/A' ? area + ' km²' : 'Tidak tersedia'}</p>
+               <h4>${t('modal.area')}</h4>
+               <p>${area !== 'N/A' ? `${area} ${t('unit.km2')}` : t('common.notAvailable')}</p>
              </div>
              
              <div class="info-card">
-               <h4>Zona Waktu</h4>
-               <p>${timezones !== 'N/A' ? timezones : 'Tidak tersedia'}</p>
+               <h4>${t('modal.timezones')}</h4>
+               ${renderTimezoneClocks(country)}
              </div>
              
              <!-- Demografi & Sosial -->
              <div class="info-card">
-               <h4>Bahasa</h4>
+               <h4>${t('modal.languages')}</h4>
                <p>${languages}</p>
              </div>
              
              <div class="info-card">
-               <h4>Mata Uang</h4>
+               <h4>${t('modal.currencies')}</h4>
                <p>${currencies}</p>
              </div>
              
              <div class="info-card">
-               <h4>Negara Tetangga</h4>
+               <h4>${t('modal.neighbors')}</h4>
                <p>${borderNames}</p>
-               ${country.borders && country.borders.length > 0 ? `<p class="text-sm text-gray-500 mt-2">Total: ${country.borders.length} negara tetangga</p>` : ''}
+               ${country.borders && country.borders.length > 0 ? `<p class="text-sm text-gray-500 mt-2">${t('modal.neighborsTotal', { count: country.borders.length })}</p>` : ''}
+             </div>
+             
+             <div class="info-card">
+               <h4>${t('route.title')}</h4>
+               <div class="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                 <span>${t('route.from', { name: `<strong>${name}</strong>` })}</span>
+                 <select id="routeDestination" class="px-2 py-1 border border-gray-200 rounded-lg bg-white">
+                   ${routeOptions}
+                 </select>
+                 <button 
+                   data-action="show-land-route" 
+                   data-country-code="${escapeHTML(country.cca3)}" 
+                   class="px-3 py-1 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                 >
+                   ${t('route.find')}
+                 </button>
+               </div>
+               <div id="routeResult" class="mt-2 text-sm"></div>
+               
+               <div class="flex flex-wrap items-center gap-2 text-sm text-gray-600 mt-4">
+                 <span>${t('route.within')}</span>
+                 <input id="hopCount" type="number" min="1" max="${MAX_BORDER_HOPS}" value="2" class="w-16 px-2 py-1 border border-gray-200 rounded-lg">
+                 <span>${t('route.hopsUnit')}</span>
+                 <button 
+                   data-action="show-within-hops" 
+                   data-country-code="${escapeHTML(country.cca3)}" 
+                   class="px-3 py-1 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                 >
+                   ${t('route.show')}
+                 </button>
+               </div>
+               <div id="hopsResult" class="mt-2 text-sm"></div>
+             </div>
+             
+             <div class="info-card">
+               <h4>${t('distance.title')}</h4>
+               <div id="homeCountryControl" class="text-sm text-gray-600">${renderHomeCountryControl(country)}</div>
+               
+               <div class="flex flex-wrap items-center gap-2 text-sm text-gray-600 mt-4">
+                 <span>${t('distance.nearest')}</span>
+                 <input 
+                   id="nearestCount" 
+                   type="number" 
+                   min="1" 
+                   max="${MAX_NEAREST_COUNT}" 
+                   value="${DEFAULT_NEAREST_COUNT}" 
+                   data-action="show-nearest" 
+                   data-country-code="${escapeHTML(country.cca3)}" 
+                   class="w-16 px-2 py-1 border border-gray-200 rounded-lg"
+                 >
+               </div>
+               <div id="nearestResult" class="mt-2 text-sm">${renderNearestCountries(country, DEFAULT_NEAREST_COUNT)}</div>
+               
+               <div class="flex flex-wrap items-center gap-2 text-sm text-gray-600 mt-4">
+                 <span>${t('distance.between', { name: `<strong>${name}</strong>` })}</span>
+                 <select id="distanceTarget" class="px-2 py-1 border border-gray-200 rounded-lg bg-white">
+                   ${distanceOptions}
+                 </select>
+                 <button 
+                   data-action="measure-distance" 
+                   data-country-code="${escapeHTML(country.cca3)}" 
+                   class="px-3 py-1 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                 >
+                   ${t('distance.measure')}
+                 </button>
+               </div>
+               <div id="distanceResult" class="mt-2 text-sm"></div>
              </div>
              
              <!-- Additional Information for specific countries -->
-             ${country.cca3 === 'DEU' ? `
              <div class="info-card">
-               <h4>Informasi Tambahan</h4>
-               <p><strong>Negara Bagian:</strong> 16 Bundesländer</p>
-               <p><strong>Kode Negara:</strong> ${country.cca2} / ${country.cca3}</p>
-               <p><strong>Kode FIFA:</strong> ${country.fifa || 'Tidak tersedia'}</p>
-               <p><strong>TLD:</strong> ${country.tld && country.tld.length > 0 ? country.tld.join(', ') : 'Tidak tersedia'}</p>
+               <h4>${t('modal.additionalInfo')}</h4>
+               ${generateAdditionalInfo(country)}
              </div>
-             ` : ''}
              
              <!-- Map Section -->
              ${mapIframe}
@@ -692,76 +2006,1666 @@ function generateModalContent(country) {
            return `
              <div class="text-center py-8">
                <div class="text-6xl mb-4">⚠️</div>
-               <h3 class="text-xl font-semibold text-gray-700 mb-2">Gagal Memuat Detail</h3>
-               <p class="text-gray-500">Tidak dapat memuat detail negara. Silakan coba lagi.</p>
+               <h3 class="text-xl font-semibold text-gray-700 mb-2">${t('modal.errorTitle')}</h3>
+               <p class="text-gray-500">${t('modal.errorText')}</p>
              </div>
            `;
   }
 }
 
-// Close modal
-function closeModalHandler() {
-  countryModal.classList.add('hidden');
-  document.body.style.overflow = 'auto';
+// Codes, calling codes and other facts shown for every country (unknown values say so)
+function generateAdditionalInfo(country) {
+  const yesNo = value => value === null || value === undefined ? null : t(value ? 'common.yes' : 'common.no');
+  const list = values => values && values.length > 0 ? values.join(', ') : null;
+  
+  const rows = [
+    { labelKey: 'modal.countryCode', value: [country.cca2, country.cca3].filter(Boolean).join(' / ') || null },
+    { labelKey: 'modal.fifa', value: country.fifa },
+    { labelKey: 'modal.tld', value: list(country.tld) },
+    { labelKey: 'modal.callingCode', value: list(country.callingCodes) },
+    { labelKey: 'modal.drivingSide', value: country.drivingSide ? t(`modal.drivingSide.${country.drivingSide}`) : null },
+    { labelKey: 'modal.unMember', value: yesNo(country.unMember) },
+    { labelKey: 'modal.independent', value: yesNo(country.independent) },
+    { labelKey: 'modal.landlocked', value: yesNo(country.landlocked) },
+    { labelKey: 'modal.gini', value: country.gini ? `${formatNumber(country.gini.value)}${country.gini.year ? ` (${country.gini.year})` : ''}` : null },
+    { labelKey: 'modal.startOfWeek', value: country.startOfWeek ? t(`weekday.${country.startOfWeek}`) : null }
+  ];
+  
+  return rows.map(row => `<p><strong>${t(row.labelKey)}:</strong> ${escapeHTML(row.value) || t('common.notAvailable')}</p>`).join('');
 }
 
-// Load favorites from localStorage
-function loadFavorites() {
+// Clickable country name that opens its modal (falls back to the raw code)
+function renderCountryLink(countryCode) {
+  const country = getCountryByCode(countryCode);
+  if (!country) return escapeHTML(countryCode);
+  
+  return `<button data-action="open-country" data-country-code="${escapeHTML(country.cca3)}" class="country-link">${escapeHTML(getCountryName(country))}</button>`;
+}
+
+// Breadth-first walk over land borders, returning each reached country's hop count and predecessor
+function walkBorderGraph(fromCode, maxHops = Infinity, targetCode = null) {
+  const visited = new Map([[fromCode, { hops: 0, previous: null }]]);
+  let frontier = [fromCode];
+  
+  for (let hops = 1; hops <= maxHops && frontier.length > 0; hops++) {
+    const nextFrontier = [];
+    
+    for (const code of frontier) {
+      const country = getCountryByCode(code);
+      const borders = country && Array.isArray(country.borders) ? country.borders : [];
+      
+      for (const neighbor of borders) {
+        if (visited.has(neighbor)) continue;
+        visited.set(neighbor, { hops, previous: code });
+        if (neighbor === targetCode) return visited;
+        nextFrontier.push(neighbor);
+      }
+    }
+    
+    frontier = nextFrontier;
+  }
+  
+  return visited;
+}
+
+// Shortest chain of land borders between two countries, or null if there is none
+function findLandRoute(fromCode, toCode) {
+  if (fromCode === toCode) return [fromCode];
+  
+  const visited = walkBorderGraph(fromCode, Infinity, toCode);
+  if (!visited.has(toCode)) return null;
+  
+  const route = [];
+  for (let code = toCode; code !== null; code = visited.get(code).previous) {
+    route.unshift(code);
+  }
+  return route;
+}
+
+// Countries reachable within a number of border crossings, grouped by distance
+function getCountriesWithinHops(fromCode, maxHops) {
+  const groups = {};
+  walkBorderGraph(fromCode, maxHops).forEach((entry, code) => {
+    if (entry.hops === 0) return;
+    (groups[entry.hops] = groups[entry.hops] || []).push(code);
+  });
+  return groups;
+}
+
+// Show the shortest land route from the modal country to the selected destination
+function showLandRoute(fromCode) {
+  const toCode = document.getElementById('routeDestination').value;
+  const routeResult = document.getElementById('routeResult');
+  const route = findLandRoute(fromCode, toCode);
+  
+  if (!route) {
+    const isolated = [fromCode, toCode]
+      .map(getCountryByCode)
+      .filter(c => c && (!c.borders || c.borders.length === 0))
+      .map(c => escapeHTML(getCountryName(c)));
+    
+    routeResult.innerHTML = `
+      <p class="text-red-600">${t('route.none')}</p>
+      <p class="text-gray-500">${isolated.length > 0
+        ? t('route.noBorders', { names: isolated.join(t('route.and')) })
+        : t('route.disconnected')}</p>
+    `;
+    return;
+  }
+  
+  routeResult.innerHTML = `
+    <p>${route.map(renderCountryLink).join(' → ')}</p>
+    <p class="text-gray-500">${t('route.crossings', { count: route.length - 1 })}</p>
+  `;
+}
+
+// List every country within N border hops of the modal country
+function showCountriesWithinHops(fromCode) {
+  const hopInput = document.getElementById('hopCount');
+  const maxHops = Math.min(MAX_BORDER_HOPS, Math.max(1, parseInt(hopInput.value, 10) || 1));
+  hopInput.value = maxHops;
+  
+  const groups = getCountriesWithinHops(fromCode, maxHops);
+  const hopsResult = document.getElementById('hopsResult');
+  
+  if (Object.keys(groups).length === 0) {
+    hopsResult.innerHTML = `<p class="text-gray-500">${t('route.isolated')}</p>`;
+    return;
+  }
+  
+  hopsResult.innerHTML = Object.keys(groups).map(hops => `
+    <p><strong>${t('route.hopGroup', { hops, count: groups[hops].length })}:</strong> ${groups[hops].map(renderCountryLink).join(', ')}</p>
+  `).join('');
+}
+
+// Home country status of the modal country, with the button to set or clear it
+function renderHomeCountryControl(country) {
+  const home = getCountryByCode(homeCountryCode);
+  const buttonClass = 'px-3 py-1 border border-gray-200 rounded-lg bg-white hover:bg-gray-50 transition-colors';
+  
+  if (home && home.cca3 === country.cca3) {
+    return `
+      <p class="mb-2">${t('distance.isHome')}</p>
+      <button data-action="set-home-country" class="${buttonClass}">${t('distance.clearHome')}</button>
+    `;
+  }
+  
+  return `
+    ${home ? `<p class="mb-2">${t('distance.home', { name: renderCountryLink(home.cca3), distance: formatDistance(getCountryDistance(home, country)) })}</p>` : ''}
+    <button data-action="set-home-country" data-country-code="${escapeHTML(country.cca3)}" class="${buttonClass}">${t('distance.setHome')}</button>
+  `;
+}
+
+// Nearest countries by centroid with their distances
+function renderNearestCountries(country, count) {
+  if (!getCentroid(country)) {
+    return `<p class="text-gray-500">${t('distance.noLocation')}</p>`;
+  }
+  
+  return `
+    <ol class="list-decimal list-inside space-y-1">
+      ${getNearestCountries(country, allCountries, count).map(entry => `
+        <li>${renderCountryLink(entry.country.cca3)} <span class="text-gray-500">— ${formatDistance(entry.distance)}</span></li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+// Re-render the nearest list for the count typed in the modal
+function showNearestCountries(countryCode) {
+  const country = getCountryByCode(countryCode);
+  const countInput = document.getElementById('nearestCount');
+  const count = Math.min(MAX_NEAREST_COUNT, Math.max(1, parseInt(countInput.value, 10) || DEFAULT_NEAREST_COUNT));
+  countInput.value = count;
+  
+  document.getElementById('nearestResult').innerHTML = renderNearestCountries(country, count);
+}
+
+// Centroid and capital distances between the modal country and the selected one
+function showCountryDistance(fromCode) {
+  const from = getCountryByCode(fromCode);
+  const to = getCountryByCode(document.getElementById('distanceTarget').value);
+  if (!from || !to) return;
+  
+  document.getElementById('distanceResult').innerHTML = `
+    <p><strong>${t('distance.centroid')}:</strong> ${formatDistance(getCountryDistance(from, to))}</p>
+    <p><strong>${t('distance.capital')}:</strong> ${formatDistance(getCapitalDistance(from, to))}</p>
+  `;
+}
+
+// Distance from the home country on a card, shown while sorting by distance
+function renderCardDistance(country) {
+  const home = getCountryByCode(homeCountryCode);
+  if (!isSortedBy(currentSort, 'distance') || !home || home.cca3 === country.cca3) return '';
+  
+  return `
+    <p class="text-gray-600 text-sm mt-1">📍 ${t('distance.fromHome', { distance: formatDistance(getCountryDistance(home, country)), name: escapeHTML(getCountryName(home)) })}</p>
+  `;
+}
+
+// Set (or clear with null) the home country used for distance sorting
+function setHomeCountry(countryCode) {
+  homeCountryCode = countryCode;
+  saveHomeCountry();
+  renderSortOptions();
+  
+  const country = getCountryByCode(openCountryCode);
+  const control = document.getElementById('homeCountryControl');
+  if (country && control) {
+    control.innerHTML = renderHomeCountryControl(country);
+  }
+  
+  if (isSortedBy(currentSort, 'distance')) {
+    applyFiltersAndSort();
+  }
+}
+
+// Close modal
+function closeModalHandler() {
+  hideModal();
+  
+  // Rewind the entries pushed while the modal was open, or just drop the country from the URL
+  if (modalHistoryDepth > 0) {
+    const depth = modalHistoryDepth;
+    modalHistoryDepth = 0;
+    lastSyncedHash = buildStateHash();
+    history.go(-depth);
+  } else {
+    updateURL();
+  }
+}
+
+// Hide the modal without touching browser history
+function hideModal() {
+  openCountryCode = null;
+  countryModal.classList.add('hidden');
+  document.body.style.overflow = 'auto';
+  
+  if (savedScrollY !== null) {
+    window.scrollTo(0, savedScrollY);
+    savedScrollY = null;
+  }
+  
+  // Give focus back to what opened the modal (or its card, if the grid was re-rendered)
+  const returnFocus = modalReturnFocus;
+  modalReturnFocus = null;
+  if (returnFocus && document.contains(returnFocus)) {
+    returnFocus.focus({ preventScroll: true });
+  } else if (returnFocus && returnFocus.dataset && returnFocus.dataset.countryCode) {
+    focusCountryCard(returnFocus.dataset.countryCode);
+  }
+}
+
+// Serialize search, sort, favorites, filters, page and open country into a URL hash
+function buildStateHash() {
+  const params = new URLSearchParams();
+  
+  const searchTerm = searchInput.value.trim();
+  if (searchTerm) params.set('q', searchTerm);
+  if (formatSortSpec(currentSort) !== DEFAULT_SORT) params.set('sort', formatSortSpec(currentSort));
+  if (showFavoritesOnly) params.set('fav', '1');
+  if (travelFilter !== 'all') params.set('travel', travelFilter);
+  
+  Object.keys(FACETS).forEach(key => {
+    activeFilters[key].forEach(value => params.append(key, value));
+  });
+  Object.keys(RANGE_FILTERS).forEach(key => {
+    const { min, max } = activeFilters[key];
+    if (min !== null || max !== null) {
+      params.set(key, `${min ?? ''}-${max ?? ''}`);
+    }
+  });
+  const { from, to } = activeFilters.localTime;
+  if (from !== null || to !== null) params.set('hours', `${from ?? ''}-${to ?? ''}`);
+  
+  if (displayMode === 'pages' && currentPage > 1) params.set('page', currentPage);
+  if (openCountryCode) params.set('country', openCountryCode);
+  
+  const query = params.toString();
+  return query ? `#${query}` : '';
+}
+
+// Read the URL hash back into the global state (does not render)
+function restoreStateFromURL() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  
+  searchInput.value = params.get('q') || '';
+  
+  currentSort = parseSortSpec(params.get('sort')) || parseSortSpec(DEFAULT_SORT);
+  updateSortControls();
+  
+  showFavoritesOnly = params.get('fav') === '1';
+  updateFavoritesFilterUI();
+  
+  travelFilter = TRAVEL_FILTERS.includes(params.get('travel')) ? params.get('travel') : 'all';
+  travelFilterSelect.value = travelFilter;
+  
+  activeFilters = createEmptyFilters();
+  Object.keys(FACETS).forEach(key => {
+    activeFilters[key] = params.getAll(key);
+  });
+  Object.keys(RANGE_FILTERS).forEach(key => {
+    const match = /^(\d*\.?\d*)-(\d*\.?\d*)$/.exec(params.get(key) || '');
+    if (match) {
+      activeFilters[key] = {
+        min: match[1] ? Number(match[1]) : null,
+        max: match[2] ? Number(match[2]) : null
+      };
+    }
+  });
+  const hours = /^(\d{2}:\d{2})?-(\d{2}:\d{2})?$/.exec(params.get('hours') || '');
+  if (hours && (hours[1] || hours[2])) {
+    activeFilters.localTime = { from: hours[1] || null, to: hours[2] || null };
+  }
+  
+  const page = parseInt(params.get('page'), 10);
+  currentPage = page > 0 ? page : 1;
+  
+  openCountryCode = params.get('country');
+  lastSyncedHash = location.hash.length > 1 ? location.hash : '';
+  
+  if (allCountries.length > 0) {
+    renderFilterPanel();
+  }
+}
+
+// Open the modal for the country named in the URL once data is available
+function restoreModalFromState() {
+  if (!openCountryCode) {
+    if (!countryModal.classList.contains('hidden')) hideModal();
+    return;
+  }
+  
+  if (modalFavoriteBtn.dataset.countryCode === openCountryCode && !countryModal.classList.contains('hidden')) return;
+  
+  openModal(openCountryCode, { fromHistory: true });
+  
+  // Unknown country code in the URL
+  if (countryModal.classList.contains('hidden')) {
+    openCountryCode = null;
+    updateURL();
+  }
+}
+
+// Write the current state to the address bar. 'push' creates a new history entry.
+function updateURL(mode = 'replace') {
+  const hash = buildStateHash();
+  if (hash === lastSyncedHash) return;
+  lastSyncedHash = hash;
+  
+  try {
+    history[mode === 'push' ? 'pushState' : 'replaceState'](null, '', hash || location.pathname + location.search);
+  } catch (error) {
+    // Some browsers reject history updates for file:// pages; fall back to plain hash navigation
+    if (mode === 'push') {
+      location.hash = hash;
+    } else {
+      location.replace(hash || '#');
+    }
+  }
+}
+
+// Handle Back/Forward navigation
+function handlePopState() {
+  const hash = location.hash.length > 1 ? location.hash : '';
+  if (hash === lastSyncedHash) return;
+  
+  const wasModalOpen = openCountryCode !== null;
+  restoreStateFromURL();
+  
+  // Track how many modal entries remain behind us
+  if (!openCountryCode) {
+    modalHistoryDepth = 0;
+  } else if (wasModalOpen) {
+    modalHistoryDepth = Math.max(0, modalHistoryDepth - 1);
+  }
+  
+  applyFiltersAndSort();
+  restoreModalFromState();
+}
+
+// Add or remove a country from the comparison tray
+function toggleCompare(countryCode) {
+  const index = compareList.indexOf(countryCode);
+  
+  if (index > -1) {
+    compareList.splice(index, 1);
+  } else if (compareList.length >= MAX_COMPARE) {
+    showCompareMessage(t('compare.max', { max: MAX_COMPARE }));
+    return;
+  } else {
+    compareList.push(countryCode);
+  }
+  
+  saveCompareList();
+  updateCompareButtons();
+  renderCompareTray();
+  
+  // Keep an open comparison view in sync
+  if (!compareModal.classList.contains('hidden')) {
+    if (compareList.length >= MIN_COMPARE) {
+      renderCompareView();
+    } else {
+      closeCompareView();
+    }
+  }
+}
+
+// Remove every country from the comparison tray
+function clearCompare() {
+  compareList = [];
+  saveCompareList();
+  updateCompareButtons();
+  renderCompareTray();
+}
+
+// Update compare buttons on cards and in the modal
+function updateCompareButtons() {
+  document.querySelectorAll('.compare-btn[data-country-code]').forEach(button => {
+    const isCompared = compareList.includes(button.dataset.countryCode);
+    button.classList.toggle('compared', isCompared);
+    button.title = isCompared ? t('compare.remove') : t('compare.add');
+    button.setAttribute('aria-label', button.title);
+    button.setAttribute('aria-pressed', String(isCompared));
+  });
+  
+  const modalCode = modalCompareBtn.dataset.countryCode;
+  if (modalCode) {
+    const isCompared = compareList.includes(modalCode);
+    modalCompareBtn.classList.toggle('compared', isCompared);
+    modalCompareBtn.title = isCompared ? t('compare.remove') : t('compare.add');
+    modalCompareBtn.setAttribute('aria-label', modalCompareBtn.title);
+    modalCompareBtn.setAttribute('aria-pressed', String(isCompared));
+  }
+}
+
+// Render the bottom tray with the selected countries
+function renderCompareTray() {
+  const countries = compareList
+    .map(getCountryByCode)
+    .filter(Boolean);
+  
+  if (countries.length === 0) {
+    compareTray.classList.add('hidden');
+    return;
+  }
+  
+  compareTrayItems.innerHTML = countries.map(country => `
+    <span class="inline-flex items-center gap-2 px-3 py-1 bg-gray-100 rounded-full text-sm text-gray-700">
+      <img src="${escapeHTML(country.flags.png)}" alt="" class="w-5 h-3 object-cover rounded-sm">
+      ${escapeHTML(getCountryName(country))}
+      <button 
+        data-action="toggle-compare" 
+        data-country-code="${escapeHTML(country.cca3)}" 
+        class="text-gray-400 hover:text-gray-700"
+        title="${t('compare.remove')}"
+      >
+        ✕
+      </button>
+    </span>
+  `).join('');
+  
+  openCompareBtn.disabled = countries.length < MIN_COMPARE;
+  openCompareBtn.textContent = t('compare.open', { count: countries.length, max: MAX_COMPARE });
+  compareTrayMessage.textContent = countries.length < MIN_COMPARE ? t('compare.pickMin', { min: MIN_COMPARE }) : '';
+  compareTray.classList.remove('hidden');
+}
+
+// Briefly show a message in the comparison tray
+function showCompareMessage(message) {
+  compareTrayMessage.textContent = message;
+  compareTrayMessage.classList.add('text-red-500');
+  setTimeout(() => {
+    compareTrayMessage.classList.remove('text-red-500');
+    renderCompareTray();
+  }, 2000);
+}
+
+// Open the side-by-side comparison view
+function openCompareView() {
+  if (compareList.length < MIN_COMPARE) return;
+  
+  renderCompareView();
+  compareModal.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+}
+
+// Close the comparison view
+function closeCompareView() {
+  compareModal.classList.add('hidden');
+  document.body.style.overflow = 'auto';
+}
+
+// Render the comparison table for the selected countries
+function renderCompareView() {
+  const countries = compareList
+    .map(getCountryByCode)
+    .filter(Boolean);
+  
+  compareContent.innerHTML = generateComparisonContent(countries);
+}
+
+// Generate the comparison table: one column per country, one row per metric
+function generateComparisonContent(countries) {
+  const getBorderName = code => {
+    const borderCountry = getCountryByCode(code);
+    return borderCountry ? getCountryName(borderCountry) : code;
+  };
+  
+  // Numeric rows highlight the highest and lowest value
+  const numericRows = [
+    { labelKey: 'range.population', unitKey: 'unit.people', getValue: country => country.population },
+    { labelKey: 'range.area', unitKey: 'unit.km2', getValue: country => country.area },
+    { labelKey: 'range.density', unitKey: 'unit.perKm2', getValue: country => {
+      const density = getPopulationDensity(country);
+      return density === null ? null : Math.round(density * 10) / 10;
+    } }
+  ];
+  
+  // List rows highlight items shared by at least two countries
+  const listRows = [
+    { labelKey: 'modal.languages', inSummary: true, getItems: country => Object.entries(country.languages || {}).map(([code, name]) => ({ key: code, label: name })) },
+    { labelKey: 'modal.currencies', inSummary: true, getItems: country => Object.entries(country.currencies || {}).map(([code, currency]) => ({ key: code, label: `${currency.name} (${currency.symbol || code})` })) },
+    { labelKey: 'modal.timezones', inSummary: false, getItems: country => (country.timezones || []).map(zone => ({ key: zone, label: zone })) },
+    { labelKey: 'modal.neighbors', inSummary: true, getItems: country => (country.borders || []).map(code => ({ key: code, label: getBorderName(code) })) },
+    { labelKey: 'modal.continents', inSummary: false, getItems: country => (country.continents || []).map(name => ({ key: name, label: name })) }
+  ];
+  
+  const headerCells = countries.map(country => `
+    <th class="compare-cell text-center">
+      <img src="${escapeHTML(country.flags.png)}" alt="${escapeHTML(getFlagAlt(country))}" class="w-20 h-12 object-cover rounded mx-auto mb-2">
+      <button data-action="open-country" data-country-code="${escapeHTML(country.cca3)}" class="font-semibold text-gray-800 hover:text-blue-600">${escapeHTML(getCountryName(country))}</button>
+      <button data-action="toggle-compare" data-country-code="${escapeHTML(country.cca3)}" class="block mx-auto mt-1 text-xs text-gray-400 hover:text-red-500">${t('compare.removeShort')}</button>
+    </th>
+  `).join('');
+  
+  const numericHTML = numericRows.map(row => {
+    const values = countries.map(row.getValue);
+    const known = values.filter(value => value !== null && value !== undefined);
+    const max = Math.max(...known);
+    const min = Math.min(...known);
+    const highlight = known.length >= 2 && max !== min;
+    
+    const cells = values.map(value => {
+      if (value === null || value === undefined) {
+        return `<td class="compare-cell text-center text-gray-400">${t('common.notAvailable')}</td>`;
+      }
+      
+      let className = '';
+      let marker = '';
+      if (highlight && value === max) {
+        className = 'compare-high';
+        marker = `<span class="block text-xs">${t('compare.highest')}</span>`;
+      } else if (highlight && value === min) {
+        className = 'compare-low';
+        marker = `<span class="block text-xs">${t('compare.lowest')}</span>`;
+      }
+      return `<td class="compare-cell text-center ${className}">${formatNumber(value)} ${t(row.unitKey)}${marker}</td>`;
+    }).join('');
+    
+    return `<tr><th class="compare-cell text-left text-gray-700">${t(row.labelKey)}</th>${cells}</tr>`;
+  }).join('');
+  
+  const sharedSummary = [];
+  const listHTML = listRows.map(row => {
+    const itemsPerCountry = countries.map(row.getItems);
+    
+    // Count in how many countries each item appears
+    const occurrences = {};
+    itemsPerCountry.forEach(items => {
+      new Set(items.map(item => item.key)).forEach(key => {
+        occurrences[key] = (occurrences[key] || 0) + 1;
+      });
+    });
+    
+    const shared = [];
+    itemsPerCountry.flat().forEach(item => {
+      if (occurrences[item.key] >= 2 && !shared.includes(item.label)) shared.push(item.label);
+    });
+    if (shared.length > 0 && row.inSummary) {
+      sharedSummary.push(`<p><strong>${t(row.labelKey)}:</strong> ${escapeHTML(shared.join(', '))}</p>`);
+    }
+    
+    const cells = itemsPerCountry.map(items => {
+      if (items.length === 0) {
+        return `<td class="compare-cell text-center text-gray-400">${t('common.none')}</td>`;
+      }
+      return `<td class="compare-cell">${items.map(item => `
+        <span class="compare-chip ${occurrences[item.key] >= 2 ? 'compare-shared' : ''}">${escapeHTML(item.label)}</span>
+      `).join('')}</td>`;
+    }).join('');
+    
+    return `<tr><th class="compare-cell text-left text-gray-700">${t(row.labelKey)}</th>${cells}</tr>`;
+  }).join('');
+  
+  return `
+    <div class="info-card">
+      <h4>${t('compare.shared')}</h4>
+      ${sharedSummary.length > 0 ? sharedSummary.join('') : `<p>${t('compare.nothingShared')}</p>`}
+    </div>
+    
+    <div class="overflow-x-auto">
+      <table class="compare-table w-full text-sm">
+        <thead>
+          <tr><th class="compare-cell"></th>${headerCells}</tr>
+        </thead>
+        <tbody>
+          ${numericHTML}
+          ${listHTML}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Open the export dialog for the current result set
+function openExportDialog() {
+  renderExportColumns();
+  exportSummary.textContent = t('export.summary', { count: formatNumber(currentResults.length) });
+  exportModal.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+}
+
+// Render the column picker, keeping the current selection
+function renderExportColumns() {
+  const checkedInputs = exportColumns.querySelectorAll('input');
+  const selected = checkedInputs.length > 0
+    ? [...checkedInputs].filter(input => input.checked).map(input => input.value)
+    : DEFAULT_EXPORT_COLUMNS;
+  
+  exportColumns.innerHTML = Object.keys(EXPORT_COLUMNS).map(key => `
+    <label class="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+      <input type="checkbox" class="rounded" value="${key}" ${selected.includes(key) ? 'checked' : ''}>
+      ${t(EXPORT_COLUMNS[key].labelKey)}
+    </label>
+  `).join('');
+}
+
+// Close the export dialog
+function closeExportDialog() {
+  exportModal.classList.add('hidden');
+  document.body.style.overflow = 'auto';
+}
+
+// Build the file for the chosen format and columns and download it
+function handleExportDownload() {
+  const columns = [...exportColumns.querySelectorAll('input:checked')].map(input => input.value);
+  const format = document.querySelector('input[name="exportFormat"]:checked').value;
+  
+  if (columns.length === 0) {
+    exportSummary.textContent = t('export.noColumns');
+    return;
+  }
+  
+  const date = new Date().toISOString().slice(0, 10);
+  const filename = `${t('export.filePrefix')}-${date}`;
+  
+  if (format === 'csv') {
+    // BOM so spreadsheet apps detect UTF-8 (accents, ², currency names)
+    downloadFile(`${filename}.csv`, '\uFEFF' + buildCSV(currentResults, columns), 'text/csv;charset=utf-8');
+  } else if (format === 'json') {
+    downloadFile(`${filename}.json`, JSON.stringify(buildExportRows(currentResults, columns), null, 2), 'application/json');
+  } else {
+    const geojson = buildGeoJSON(currentResults, columns);
+    const skipped = currentResults.length - geojson.features.length;
+    downloadFile(`${filename}.geojson`, JSON.stringify(geojson, null, 2), 'application/geo+json');
+    
+    if (skipped > 0) {
+      exportSummary.textContent = t('export.skipped', { count: skipped });
+      return;
+    }
+  }
+  
+  closeExportDialog();
+}
+
+// Pick the selected columns from each country
+function buildExportRows(countries, columns) {
+  return countries.map(country => {
+    const row = {};
+    columns.forEach(key => {
+      row[key] = EXPORT_COLUMNS[key].getValue(country);
+    });
+    return row;
+  });
+}
+
+// CSV with a header row; arrays are joined with "; "
+function buildCSV(countries, columns) {
+  const escapeCSV = value => {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  const lines = [columns.join(',')];
+  buildExportRows(countries, columns).forEach(row => {
+    lines.push(columns.map(key => escapeCSV(row[key])).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+// GeoJSON FeatureCollection of points built from latlng (countries without coordinates are skipped)
+function buildGeoJSON(countries, columns) {
+  const features = countries
+    .filter(country => Array.isArray(country.latlng) && country.latlng.length === 2)
+    .map(country => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [country.latlng[1], country.latlng[0]] // GeoJSON uses [lng, lat]
+      },
+      properties: buildExportRows([country], columns)[0]
+    }));
+  
+  return { type: 'FeatureCollection', features };
+}
+
+// Trigger a browser download for generated content
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Load the display mode and page size from localStorage
+function loadDisplayPreferences() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('displayPreferences') || 'null');
+    if (saved) {
+      if (DISPLAY_MODES.includes(saved.mode)) displayMode = saved.mode;
+      if (PAGE_SIZE_OPTIONS.includes(saved.pageSize)) itemsPerPage = saved.pageSize;
+      if (Object.hasOwn(GROUP_BY_OPTIONS, saved.groupBy)) groupBy = saved.groupBy;
+      if (saved.expandedGroups && typeof saved.expandedGroups === 'object') {
+        Object.keys(GROUP_BY_OPTIONS).forEach(key => {
+          if (Array.isArray(saved.expandedGroups[key])) expandedGroups[key] = saved.expandedGroups[key].map(String);
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Error loading display preferences:', error);
+  }
+}
+
+// Save the display mode, page size, grouping and expanded groups to localStorage
+function saveDisplayPreferences() {
+  try {
+    localStorage.setItem('displayPreferences', JSON.stringify({ mode: displayMode, pageSize: itemsPerPage, groupBy, expandedGroups }));
+  } catch (error) {
+    console.error('Error saving display preferences:', error);
+  }
+}
+
+// Load favorite collections from localStorage, migrating the old flat favorites list
+function loadFavorites() {
+  try {
+    const savedCollections = localStorage.getItem('favoriteCollections');
+    if (savedCollections) {
+      // Stored data may be corrupt or hand-edited: keep only well-formed collections and entries
+      const data = JSON.parse(savedCollections);
+      collections = (data && Array.isArray(data.collections) ? data.collections : [])
+        .filter(collection => collection && typeof collection.id === 'string' && typeof collection.name === 'string' && Array.isArray(collection.items))
+        .map(collection => ({ id: collection.id, name: collection.name, items: parseCollectionItems(collection.items) }));
+      activeCollectionId = data && data.activeId;
+    } else {
+      const savedFavorites = localStorage.getItem('favoriteCountries');
+      const codes = savedFavorites ? JSON.parse(savedFavorites) : [];
+      collections = [createCollection(t('collections.default'), Array.isArray(codes) ? codes.filter(isCountryCode) : [])];
+      activeCollectionId = collections[0].id;
+      saveCollections();
+    }
+  } catch (error) {
+    console.error('Error loading favorites:', error);
+    collections = [];
+  }
+  
+  if (collections.length === 0) {
+    collections = [createCollection(t('collections.default'))];
+  }
+  if (!collections.some(collection => collection.id === activeCollectionId)) {
+    activeCollectionId = collections[0].id;
+  }
+  
+  favorites = getActiveCollection().items.map(item => item.code);
+  renderCollectionSelect();
+}
+
+// Save favorites: sync the flat code list into the active collection and persist
+function saveFavorites() {
+  const collection = getActiveCollection();
+  const existing = new Map(collection.items.map(item => [item.code, item]));
+  collection.items = favorites.map(code => existing.get(code) || { code, note: '', tags: [] });
+  saveCollections();
+  renderCollectionSelect();
+}
+
+// Persist all collections and the active one
+function saveCollections() {
+  try {
+    localStorage.setItem('favoriteCollections', JSON.stringify({
+      activeId: activeCollectionId,
+      collections: collections
+    }));
+  } catch (error) {
+    console.error('Error saving favorites:', error);
+  }
+}
+
+// Create a new collection object
+function createCollection(name, codes = []) {
+  return {
+    id: `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: name,
+    items: codes.map(code => ({ code, note: '', tags: [] }))
+  };
+}
+
+// True for a cca3 code like "IDN"
+function isCountryCode(code) {
+  return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+}
+
+// Well-formed { code, note, tags } entries of a stored or imported collection
+function parseCollectionItems(items) {
+  return items
+    .filter(item => item && isCountryCode(item.code))
+    .map(item => ({
+      code: item.code,
+      note: typeof item.note === 'string' ? item.note : '',
+      tags: Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string') : []
+    }));
+}
+
+// Currently selected collection
+function getActiveCollection() {
+  return collections.find(collection => collection.id === activeCollectionId) || collections[0];
+}
+
+// Collection entry for a country in the active collection, if any
+function getCollectionItem(countryCode) {
+  return getActiveCollection().items.find(item => item.code === countryCode) || null;
+}
+
+// Fill the collection switcher next to the favorites button
+function renderCollectionSelect() {
+  collectionSelect.innerHTML = collections.map(collection => `
+    <option value="${escapeHTML(collection.id)}" ${collection.id === activeCollectionId ? 'selected' : ''}>
+      📁 ${escapeHTML(collection.name)} (${collection.items.length})
+    </option>
+  `).join('');
+}
+
+// Make another collection active and refresh everything that shows favorites
+function switchCollection(collectionId) {
+  if (!collections.some(collection => collection.id === collectionId)) return;
+  
+  activeCollectionId = collectionId;
+  favorites = getActiveCollection().items.map(item => item.code);
+  saveCollections();
+  renderCollectionSelect();
+  updateFavoritesFilterUI();
+  
+  if (showFavoritesOnly) {
+    currentPage = 1;
+  }
+  applyFiltersAndSort();
+  
+  if (modalFavoriteBtn.dataset.countryCode) {
+    updateModalFavoriteButton();
+    updateCollectionNotes();
+  }
+}
+
+// Small tag chips shown on cards for countries in the active collection
+function renderCollectionTags(countryCode) {
+  const item = getCollectionItem(countryCode);
+  if (!item || item.tags.length === 0) return '';
+  
+  return `
+    <div class="flex flex-wrap gap-1 mt-2">
+      ${item.tags.map(tag => `<span class="collection-tag">#${escapeHTML(tag)}</span>`).join('')}
+    </div>
+  `;
+}
+
+// Note and tag editor for the modal country in the active collection
+function generateCollectionNotes(countryCode) {
+  const collection = getActiveCollection();
+  const item = getCollectionItem(countryCode);
+  
+  if (!item) {
+    return `
+      <div class="info-card">
+        <h4>${t('collections.note')}</h4>
+        <p class="text-sm">${t('collections.addToWrite', { name: `<strong>${escapeHTML(collection.name)}</strong>` })}</p>
+      </div>
+    `;
+  }
+  
+  return `
+    <div class="info-card">
+      <h4>${t('collections.noteFor', { name: escapeHTML(collection.name) })}</h4>
+      <textarea 
+        class="w-full mt-1 px-3 py-2 border border-gray-200 rounded-lg text-sm" 
+        rows="2" 
+        placeholder="${t('collections.notePlaceholder')}"
+        data-action="save-collection-note"
+        data-country-code="${escapeHTML(countryCode)}"
+      >${escapeHTML(item.note)}</textarea>
+      <input 
+        type="text" 
+        class="w-full mt-2 px-3 py-2 border border-gray-200 rounded-lg text-sm" 
+        placeholder="${t('collections.tagsPlaceholder')}"
+        value="${escapeHTML(item.tags.join(', '))}"
+        data-action="save-collection-tags"
+        data-country-code="${escapeHTML(countryCode)}"
+      >
+    </div>
+  `;
+}
+
+// Re-render the note editor inside an open modal
+function updateCollectionNotes() {
+  const container = document.getElementById('collectionNotes');
+  if (container && modalFavoriteBtn.dataset.countryCode) {
+    container.innerHTML = generateCollectionNotes(modalFavoriteBtn.dataset.countryCode);
+  }
+}
+
+// Save the note for a country in the active collection
+function saveCollectionNote(countryCode, note) {
+  const item = getCollectionItem(countryCode);
+  if (!item) return;
+  
+  item.note = note.trim();
+  saveCollections();
+}
+
+// Save comma separated tags for a country in the active collection
+function saveCollectionTags(countryCode, value) {
+  const item = getCollectionItem(countryCode);
+  if (!item) return;
+  
+  item.tags = [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))];
+  saveCollections();
+  applyFiltersAndSort();
+}
+
+// Open the collection manager
+function openCollectionsDialog() {
+  collectionsMessage.textContent = '';
+  renderCollectionsList();
+  collectionsModal.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+}
+
+// Close the collection manager
+function closeCollectionsDialog() {
+  collectionsModal.classList.add('hidden');
+  document.body.style.overflow = 'auto';
+}
+
+// List collections with rename, export and delete actions
+function renderCollectionsList() {
+  collectionsList.innerHTML = collections.map(collection => `
+    <div class="flex items-center gap-2 py-2 border-b border-gray-100">
+      <input 
+        type="text" 
+        value="${escapeHTML(collection.name)}" 
+        class="flex-1 px-3 py-1 border border-gray-200 rounded-lg text-sm ${collection.id === activeCollectionId ? 'font-semibold' : ''}"
+        data-action="rename-collection"
+        data-collection-id="${escapeHTML(collection.id)}"
+      >
+      <span class="text-xs text-gray-500 w-20 text-right">${t('collections.countryCount', { count: collection.items.length })}</span>
+      <button 
+        data-action="export-collection" 
+        data-collection-id="${escapeHTML(collection.id)}" 
+        class="text-sm text-blue-600 hover:text-blue-800"
+        title="${t('collections.exportOne')}"
+      >
+        ⬇️
+      </button>
+      <button 
+        data-action="delete-collection" 
+        data-collection-id="${escapeHTML(collection.id)}" 
+        class="text-sm text-gray-400 hover:text-red-600 disabled:opacity-30"
+        title="${t('collections.delete')}"
+        ${collections.length === 1 ? 'disabled' : ''}
+      >
+        🗑️
+      </button>
+    </div>
+  `).join('');
+}
+
+// Find a collection by id
+function getCollectionById(collectionId) {
+  return collections.find(collection => collection.id === collectionId);
+}
+
+// Create a collection from the name field and switch to it
+function handleCreateCollection() {
+  const name = newCollectionName.value.trim();
+  if (!name) {
+    collectionsMessage.textContent = t('collections.emptyName');
+    return;
+  }
+  
+  const collection = createCollection(name);
+  collections.push(collection);
+  newCollectionName.value = '';
+  switchCollection(collection.id);
+  renderCollectionsList();
+  collectionsMessage.textContent = t('collections.created', { name });
+}
+
+// Rename a collection
+function renameCollection(collectionId, name) {
+  const collection = getCollectionById(collectionId);
+  if (!collection || !name.trim()) {
+    renderCollectionsList();
+    return;
+  }
+  
+  collection.name = name.trim();
+  saveCollections();
+  renderCollectionSelect();
+  updateFavoritesFilterUI();
+}
+
+// Delete a collection (the last one cannot be removed)
+function deleteCollection(collectionId) {
+  const collection = getCollectionById(collectionId);
+  if (!collection || collections.length === 1) return;
+  if (!confirm(t('collections.confirmDelete', { name: collection.name }))) return;
+  
+  collections = collections.filter(c => c.id !== collectionId);
+  if (activeCollectionId === collectionId) {
+    switchCollection(collections[0].id);
+  } else {
+    saveCollections();
+    renderCollectionSelect();
+  }
+  renderCollectionsList();
+}
+
+// Download collections as a JSON file
+function exportCollections(collectionsToExport) {
+  const date = new Date().toISOString().slice(0, 10);
+  const data = {
+    version: COLLECTIONS_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    collections: collectionsToExport.map(collection => ({
+      name: collection.name,
+      items: collection.items
+    }))
+  };
+  downloadFile(`${t('collections.filePrefix')}-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+// Import collections from a JSON file. Collections with an existing name are merged.
+function handleImportCollections(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const result = importCollections(JSON.parse(reader.result));
+      collectionsMessage.textContent = t('collections.importDone', result);
+    } catch (error) {
+      console.error('Error importing collections:', error);
+      collectionsMessage.textContent = t('collections.importInvalid');
+    }
+    importCollectionsInput.value = '';
+  };
+  reader.readAsText(file);
+}
+
+// Merge parsed collection data into the existing collections
+function importCollections(data) {
+  if (!data || !Array.isArray(data.collections)) {
+    throw new Error('Invalid collections file');
+  }
+  
+  const result = { created: 0, merged: 0, countries: 0 };
+  
+  data.collections.forEach(imported => {
+    if (!imported || typeof imported.name !== 'string' || !Array.isArray(imported.items)) return;
+    
+    const items = parseCollectionItems(imported.items);
+    
+    let target = collections.find(collection => collection.name === imported.name.trim());
+    if (target) {
+      result.merged++;
+    } else {
+      target = createCollection(imported.name.trim() || t('collections.default'));
+      collections.push(target);
+      result.created++;
+    }
+    
+    items.forEach(item => {
+      const existing = target.items.find(entry => entry.code === item.code);
+      if (existing) {
+        existing.note = existing.note || item.note;
+        existing.tags = [...new Set([...existing.tags, ...item.tags])];
+      } else {
+        target.items.push(item);
+        result.countries++;
+      }
+    });
+  });
+  
+  // The active collection may have changed
+  switchCollection(activeCollectionId);
+  renderCollectionsList();
+  return result;
+}
+
+// Show only countries with the chosen travel status ('all' shows every country)
+function changeTravelFilter(filter) {
+  travelFilter = TRAVEL_FILTERS.includes(filter) ? filter : 'all';
+  travelFilterSelect.value = travelFilter;
+  currentPage = 1; // Reset to first page
+  updateURL('push');
+  applyFiltersAndSort();
+}
+
+// Set or clear a country's travel status (the visit date is kept while it stays visited)
+function setTravelStatus(countryCode, status) {
+  const previous = travelLog[countryCode];
+  if (Object.hasOwn(TRAVEL_STATUSES, status)) {
+    travelLog[countryCode] = { status, date: status === 'visited' && previous ? previous.date : null };
+  } else {
+    delete travelLog[countryCode];
+  }
+  saveTravelLog();
+  
+  updateTravelSelects(countryCode);
+  updateTravelControl(countryCode);
+  if (!travelModal.classList.contains('hidden')) {
+    renderTravelDialog();
+  }
+  if (travelFilter !== 'all') {
+    applyFiltersAndSort();
+  }
+}
+
+// Set the date a visited country was visited (empty clears it)
+function setTravelDate(countryCode, date) {
+  const entry = travelLog[countryCode];
+  if (!entry || entry.status !== 'visited') return;
+  
+  entry.date = /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : null;
+  saveTravelLog();
+}
+
+// Sync the travel dropdowns on cards with the travel log (all countries when no code is given)
+function updateTravelSelects(countryCode = null) {
+  document.querySelectorAll('.country-card .travel-select').forEach(select => {
+    if (countryCode && select.dataset.countryCode !== countryCode) return;
+    
+    const status = getTravelStatus(travelLog, select.dataset.countryCode);
+    select.value = status || '';
+    select.classList.toggle('travel-select-set', Boolean(status));
+  });
+}
+
+// Re-render the travel controls in the modal if it shows this country, keeping focus on them
+function updateTravelControl(countryCode) {
+  const control = document.getElementById('travelControl');
+  if (!control || modalFavoriteBtn.dataset.countryCode !== countryCode) return;
+  
+  const hadFocus = control.contains(document.activeElement);
+  control.innerHTML = renderTravelControl(travelLog, countryCode);
+  if (hadFocus) control.querySelector('.travel-select').focus();
+}
+
+// Open the travel progress summary
+function openTravelDialog() {
+  travelMessage.textContent = '';
+  renderTravelDialog();
+  travelModal.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+}
+
+// Close the travel progress summary
+function closeTravelDialog() {
+  travelModal.classList.add('hidden');
+  document.body.style.overflow = 'auto';
+}
+
+// Render travel progress per region for the whole dataset
+function renderTravelDialog() {
+  travelProgress.innerHTML = renderTravelProgress(computeTravelProgress(allCountries, travelLog));
+}
+
+// Download the travel log as a JSON file
+function exportTravelLog() {
+  const date = new Date().toISOString().slice(0, 10);
+  const data = {
+    version: TRAVEL_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    countries: Object.entries(travelLog).map(([code, entry]) => ({ code, status: entry.status, date: entry.date }))
+  };
+  downloadFile(`${t('travel.filePrefix')}-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+// Import a travel log from a JSON file
+function handleImportTravel(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const result = importTravelLog(JSON.parse(reader.result));
+      travelMessage.textContent = t('travel.importDone', result);
+    } catch (error) {
+      console.error('Error importing travel log:', error);
+      travelMessage.textContent = t('travel.importInvalid');
+    }
+    importTravelInput.value = '';
+  };
+  reader.readAsText(file);
+}
+
+// Merge parsed travel data into the travel log; imported statuses replace existing ones
+function importTravelLog(data) {
+  const result = { added: 0, updated: 0 };
+  
+  parseTravelFile(data).forEach(entry => {
+    result[travelLog[entry.code] ? 'updated' : 'added']++;
+    travelLog[entry.code] = { status: entry.status, date: entry.date };
+  });
+  
+  saveTravelLog();
+  renderTravelDialog();
+  applyFiltersAndSort();
+  updateTravelControl(modalFavoriteBtn.dataset.countryCode);
+  return result;
+}
+
+// Open the language & currency index
+function openBrowseDialog() {
+  renderBrowseView();
+  browseModal.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+  browseSearch.focus();
+}
+
+// Close the language & currency index (tab, search text and sort are kept)
+function closeBrowseDialog() {
+  browseModal.classList.add('hidden');
+  document.body.style.overflow = 'auto';
+}
+
+// Switch the index between languages and currencies
+function changeBrowseIndex(indexKey) {
+  browseSettings.index = indexKey;
+  renderBrowseView();
+}
+
+// Change the order of the index entries
+function changeBrowseSort(sortKey) {
+  browseSettings.sort = Object.hasOwn(BROWSE_SORTS, sortKey) ? sortKey : 'countries';
+  renderBrowseView();
+}
+
+// Render the index for the current tab, search text and sort
+function renderBrowseView() {
+  [browseLanguagesTab, browseCurrenciesTab].forEach(tab => {
+    const isActive = tab.dataset.browseIndex === browseSettings.index;
+    tab.classList.toggle('active', isActive);
+    tab.setAttribute('aria-pressed', isActive);
+  });
+  browseSort.value = browseSettings.sort;
+  browseContent.innerHTML = renderBrowseIndex(allCountries, browseSettings.index, browseSearch.value, browseSettings.sort);
+}
+
+// Open the quiz, resuming a game in progress
+function openQuizDialog() {
+  renderQuizScreen();
+  quizModal.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+}
+
+// Close the quiz (a running game is kept and resumed on the next open)
+function closeQuizDialog() {
+  quizModal.classList.add('hidden');
+  document.body.style.overflow = 'auto';
+}
+
+// Render the screen the quiz is on: setup, a question, or the summary of a finished game
+function renderQuizScreen() {
+  if (!quizSession) {
+    renderQuizSetup();
+  } else if (quizSession.index < quizSession.questions.length) {
+    renderQuizQuestion();
+  } else {
+    renderQuizSummary();
+  }
+}
+
+// Back to the setup screen
+function showQuizSetup() {
+  quizSession = null;
+  renderQuizSetup();
+}
+
+// Start a game with the choices on the setup screen, or the same choices again on replay
+function startQuiz(replay = false) {
+  if (!replay) {
+    quizSettings = {
+      type: document.querySelector('input[name="quizType"]:checked').value,
+      region: document.getElementById('quizRegion').value,
+      difficulty: document.getElementById('quizDifficulty').value
+    };
+  }
+  
+  quizSession = createQuizSession(quizSettings.type, quizSettings.region, quizSettings.difficulty);
+  if (!quizSession) {
+    renderQuizSetup(t('quiz.notEnough'));
+    return;
+  }
+  renderQuizQuestion();
+}
+
+// Answer the current question with a country code
+function answerQuiz(countryCode) {
+  if (!quizSession || quizSession.answers.length > quizSession.index) return;
+  
+  scoreQuizAnswer(quizSession, countryCode);
+  renderQuizQuestion();
+}
+
+// Move on to the next question, or finish the game after the last one
+function nextQuizQuestion() {
+  quizSession.index++;
+  if (quizSession.index < quizSession.questions.length) {
+    renderQuizQuestion();
+    return;
+  }
+  
+  const correct = quizSession.answers.filter(answer => answer.correct).length;
+  const games = quizHistory[quizSession.type] || [];
+  games.unshift({
+    date: new Date().toISOString(),
+    score: quizSession.score,
+    correct,
+    total: quizSession.answers.length,
+    bestStreak: quizSession.bestStreak,
+    region: quizSession.region,
+    difficulty: quizSession.difficulty
+  });
+  quizHistory[quizSession.type] = games.slice(0, QUIZ_HISTORY_LIMIT);
+  saveQuizHistory();
+  renderQuizSummary();
+}
+
+// Load quiz score history from localStorage
+function loadQuizHistory() {
+  try {
+    const savedHistory = JSON.parse(localStorage.getItem('quizHistory') || '{}');
+    quizHistory = {};
+    Object.keys(QUIZ_TYPES).forEach(type => {
+      if (Array.isArray(savedHistory[type])) {
+        quizHistory[type] = savedHistory[type].filter(game => game && Object.hasOwn(QUIZ_DIFFICULTIES, game.difficulty));
+      }
+    });
+  } catch (error) {
+    console.error('Error loading quiz history:', error);
+    quizHistory = {};
+  }
+}
+
+// Save quiz score history to localStorage
+function saveQuizHistory() {
+  try {
+    localStorage.setItem('quizHistory', JSON.stringify(quizHistory));
+  } catch (error) {
+    console.error('Error saving quiz history:', error);
+  }
+}
+
+// Load the travel log from localStorage, checked like an imported travel file
+function loadTravelLog() {
+  try {
+    const savedLog = JSON.parse(localStorage.getItem('travelLog') || '{}');
+    const entries = Object.entries(savedLog || {}).map(([code, entry]) => ({ ...entry, code }));
+    travelLog = {};
+    parseTravelFile({ countries: entries }).forEach(entry => {
+      travelLog[entry.code] = { status: entry.status, date: entry.date };
+    });
+  } catch (error) {
+    console.error('Error loading travel log:', error);
+    travelLog = {};
+  }
+}
+
+// Save the travel log to localStorage
+function saveTravelLog() {
+  try {
+    localStorage.setItem('travelLog', JSON.stringify(travelLog));
+  } catch (error) {
+    console.error('Error saving travel log:', error);
+  }
+}
+
+// Load the saved sort from localStorage (a sort in the URL wins over the saved one)
+function loadSortPreference() {
   try {
-    const savedFavorites = localStorage.getItem('favoriteCountries');
-    if (savedFavorites) {
-      favorites = JSON.parse(savedFavorites);
+    const savedSort = parseSortSpec(localStorage.getItem('sortPreference'));
+    if (savedSort && !new URLSearchParams(location.hash.slice(1)).has('sort')) {
+      currentSort = savedSort;
+      updateSortControls();
     }
   } catch (error) {
-    console.error('Error loading favorites:', error);
-    favorites = [];
+    console.error('Error loading sort preference:', error);
   }
 }
 
-// Save favorites to localStorage
-function saveFavorites() {
+// Save the current sort to localStorage
+function saveSortPreference() {
   try {
-    localStorage.setItem('favoriteCountries', JSON.stringify(favorites));
+    localStorage.setItem('sortPreference', formatSortSpec(currentSort));
   } catch (error) {
-    console.error('Error saving favorites:', error);
+    console.error('Error saving sort preference:', error);
+  }
+}
+
+// Load the home country from localStorage
+function loadHomeCountry() {
+  try {
+    homeCountryCode = localStorage.getItem('homeCountry');
+  } catch (error) {
+    console.error('Error loading home country:', error);
+  }
+}
+
+// Save the home country to localStorage
+function saveHomeCountry() {
+  try {
+    if (homeCountryCode) {
+      localStorage.setItem('homeCountry', homeCountryCode);
+    } else {
+      localStorage.removeItem('homeCountry');
+    }
+  } catch (error) {
+    console.error('Error saving home country:', error);
+  }
+}
+
+// Load comparison selection from localStorage
+function loadCompareList() {
+  try {
+    const savedCompare = localStorage.getItem('compareCountries');
+    if (savedCompare) {
+      compareList = JSON.parse(savedCompare).slice(0, MAX_COMPARE);
+    }
+  } catch (error) {
+    console.error('Error loading comparison list:', error);
+    compareList = [];
+  }
+}
+
+// Save comparison selection to localStorage
+function saveCompareList() {
+  try {
+    localStorage.setItem('compareCountries', JSON.stringify(compareList));
+  } catch (error) {
+    console.error('Error saving comparison list:', error);
+  }
+}
+
+// Open (and create if needed) the IndexedDB database used as offline cache
+function openCacheDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported'));
+      return;
+    }
+    
+    const request = indexedDB.open(CACHE_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(CACHE_STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Read the cached dataset, ignoring entries written with an older schema version
+async function readCachedCountries() {
+  try {
+    const db = await openCacheDB();
+    const entry = await new Promise((resolve, reject) => {
+      const request = db.transaction(CACHE_STORE_NAME, 'readonly').objectStore(CACHE_STORE_NAME).get(getCacheKey());
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    db.close();
+    
+    if (!entry || entry.schemaVersion !== CACHE_SCHEMA_VERSION || !Array.isArray(entry.countries) || entry.countries.length === 0) {
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    console.warn('Error reading cached countries:', error);
+    return null;
+  }
+}
+
+// Each explicitly requested source (?source=...) gets its own cache entry
+function getCacheKey() {
+  const source = getRequestedDataSource();
+  return source ? `${CACHE_KEY}:${source}` : CACHE_KEY;
+}
+
+// Save the normalized dataset together with its timestamp, source and schema version
+async function writeCachedCountries(countries, timestamp) {
+  try {
+    const db = await openCacheDB();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(CACHE_STORE_NAME, 'readwrite');
+      transaction.objectStore(CACHE_STORE_NAME).put({
+        schemaVersion: CACHE_SCHEMA_VERSION,
+        timestamp: timestamp,
+        source: dataSource,
+        invalidRecords: invalidRecords,
+        missingFields: missingFields,
+        countries: countries
+      }, getCacheKey());
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    db.close();
+  } catch (error) {
+    console.warn('Error caching countries:', error);
   }
 }
 
-// Format number with thousand separators (fallback for older browsers)
+// Format number with thousand separators for the UI language (fallback for older browsers)
 function formatNumber(num) {
   if (num === null || num === undefined) return 'N/A';
   
   // Try Intl.NumberFormat first
   if (typeof Intl !== 'undefined' && Intl.NumberFormat) {
     try {
-      return new Intl.NumberFormat('en-US').format(num);
+      return new Intl.NumberFormat(getLocale()).format(num);
     } catch (e) {
       // Fallback to manual formatting
     }
   }
   
   // Manual formatting fallback
-  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, LANGUAGES[currentLanguage].thousandsSeparator);
+}
+
+// Short number for large totals, e.g. "7.9 billion" / "7,9 miliar"
+function formatCompactNumber(num) {
+  if (num === null || num === undefined) return 'N/A';
+  
+  if (typeof Intl !== 'undefined' && Intl.NumberFormat) {
+    try {
+      return new Intl.NumberFormat(getLocale(), { notation: 'compact', compactDisplay: 'long', maximumFractionDigits: 1 }).format(num);
+    } catch (e) {
+      // Fallback to full number
+    }
+  }
+  
+  return formatNumber(Math.round(num));
+}
+
+// Country name in the UI language (REST Countries translations, falling back to the English name)
+function getCountryName(country) {
+  const translationKey = LANGUAGES[currentLanguage].translationKey;
+  const translation = translationKey && country.translations && country.translations[translationKey];
+  return translation && translation.common ? translation.common : country.name.common;
 }
 
-// Make functions globally available for onclick handlers
-window.toggleFavorite = toggleFavorite;
-window.changePage = changePage;
+// Flag description from the API when it has one, otherwise "Flag of <name>"
+function getFlagAlt(country) {
+  return (country.flags && country.flags.alt) || t('modal.flagAlt', { name: getCountryName(country) });
+}
+
+// Official country name in the UI language
+function getOfficialCountryName(country) {
+  const translationKey = LANGUAGES[currentLanguage].translationKey;
+  const translation = translationKey && country.translations && country.translations[translationKey];
+  if (translation && translation.official) return translation.official;
+  return country.name.official || country.name.common;
+}
+
+// Region name in the UI language (API region names are English)
+function translateRegion(region) {
+  if (!region) return '';
+  const key = `region.${region}`;
+  const translated = t(key);
+  return translated === key ? region : translated;
+}
+
+// Switch the UI language and re-render everything that shows text
+function changeLanguage(language) {
+  if (!Object.hasOwn(LANGUAGES, language)) return;
+  
+  currentLanguage = language;
+  languageSelect.value = language;
+  saveLanguagePreference();
+  applyStaticTranslations();
+  
+  updateFavoritesFilterUI();
+  renderCollectionSelect();
+  renderPageSizeOptions();
+  renderSortOptions();
+  renderCompareTray();
+  updateDataStatus(dataStatus.dataset.state === 'offline');
+  renderDegradedBanner();
+  
+  if (allCountries.length > 0) {
+    renderFilterPanel();
+    applyFiltersAndSort();
+  }
+  
+  // Re-render open dialogs in place
+  if (!countryModal.classList.contains('hidden') && openCountryCode) {
+    openModal(openCountryCode, { fromHistory: true });
+  }
+  if (!compareModal.classList.contains('hidden')) {
+    renderCompareView();
+  }
+  if (!exportModal.classList.contains('hidden')) {
+    openExportDialog();
+  }
+  if (!collectionsModal.classList.contains('hidden')) {
+    renderCollectionsList();
+  }
+  if (!travelModal.classList.contains('hidden')) {
+    renderTravelDialog();
+  }
+  if (!quizModal.classList.contains('hidden')) {
+    renderQuizScreen();
+  }
+  if (!browseModal.classList.contains('hidden')) {
+    renderBrowseView();
+  }
+}
 
 // Ensure all favorite buttons are in correct state after page load
 function updateAllFavoriteButtons() {
   // Update all card favorite buttons
   const allCardButtons = document.querySelectorAll('.favorite-btn');
   allCardButtons.forEach(button => {
-    const onclick = button.getAttribute('onclick');
-    if (onclick && onclick.includes('toggleFavorite')) {
-      const countryCode = onclick.match(/toggleFavorite\('([^']+)'\)/)?.[1];
-      if (countryCode) {
-        const isFavorite = favorites.includes(countryCode);
-        button.textContent = isFavorite ? '❤️' : '🤍';
-        button.className = `favorite-btn absolute top-2 right-2 text-xl ${isFavorite ? 'favorited' : ''}`;
-      }
-    }
+    const isFavorite = favorites.includes(button.dataset.countryCode);
+    button.textContent = isFavorite ? '❤️' : '🤍';
+    button.className = `favorite-btn absolute top-2 right-2 text-xl ${isFavorite ? 'favorited' : ''}`;
+    setFavoriteButtonState(button, isFavorite);
   });
   
   // Update modal favorite button if modal is open
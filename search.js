@@ -0,0 +1,300 @@
+// REST Countries Explorer - Search
+// Diacritic-insensitive, typo-tolerant ranked search with a small query syntax
+// (e.g. "region:asia pop>50m lang:french")
+
+// Query keys (English and Indonesian aliases) mapped to the field they filter
+const SEARCH_KEYS = {
+  region: 'region', benua: 'region',
+  subregion: 'subregion', subwilayah: 'subregion',
+  lang: 'language', language: 'language', bahasa: 'language',
+  currency: 'currency', cur: 'currency', uang: 'currency',
+  capital: 'capital', ibukota: 'capital',
+  code: 'code', kode: 'code',
+  pop: 'population', population: 'population', populasi: 'population',
+  area: 'area', luas: 'area',
+  density: 'density', kepadatan: 'density'
+};
+const NUMERIC_SEARCH_KEYS = ['population', 'area', 'density'];
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+// Free-text fields and their weight in the ranking
+const SEARCH_FIELD_WEIGHTS = {
+  name: 100,
+  code: 95,
+  official: 80,
+  native: 70,
+  altSpelling: 60,
+  capital: 50,
+  region: 20
+};
+
+// Lowercase and strip diacritics so "cote" matches "Côte"
+function normalizeSearchText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Parse "1.5m", "50k", "2000" into a number (NaN when invalid)
+function parseSearchNumber(text) {
+  const match = text.toLowerCase().replace(',', '.').match(/^(\d+(?:\.\d+)?)([kmb]?)$/);
+  if (!match) return NaN;
+  return parseFloat(match[1]) * (match[2] ? NUMBER_SUFFIXES[match[2]] : 1);
+}
+
+// Split a query into free-text terms and key/operator/value filters.
+// Unknown keys and invalid numbers are kept as free text.
+function parseSearchQuery(query) {
+  const parsed = { terms: [], filters: [] };
+  const tokenPattern = /([a-z]+)(>=|<=|:|>|<|=)("[^"]*"|\S+)|"([^"]*)"|(\S+)/gi;
+  let match;
+
+  while ((match = tokenPattern.exec(query)) !== null) {
+    if (match[1]) {
+      const key = match[1].toLowerCase();
+      const field = Object.hasOwn(SEARCH_KEYS, key) ? SEARCH_KEYS[key] : null;
+      const operator = match[2];
+      const value = match[3].replace(/^"|"$/g, '');
+
+      if (field && NUMERIC_SEARCH_KEYS.includes(field)) {
+        const number = parseSearchNumber(value);
+        if (!isNaN(number)) {
+          parsed.filters.push({ field, operator: operator === ':' ? '=' : operator, value: number });
+          continue;
+        }
+      } else if (field && (operator === ':' || operator === '=') && value) {
+        parsed.filters.push({ field, operator: ':', value: normalizeSearchText(value) });
+        continue;
+      }
+    }
+
+    // A known key still waiting for its value ("lang:") is ignored while typing
+    const pendingKey = match[0].match(/^([a-z]+)(>=|<=|:|>|<|=)$/i);
+    if (pendingKey && Object.hasOwn(SEARCH_KEYS, pendingKey[1].toLowerCase())) continue;
+
+    const term = normalizeSearchText(match[4] !== undefined ? match[4] : match[0]).trim();
+    if (term) parsed.terms.push(term);
+  }
+
+  return parsed;
+}
+
+// Values a text filter compares against
+function getSearchFilterValues(country, field) {
+  switch (field) {
+    case 'region':
+      return country.region ? [country.region, translateRegion(country.region)] : [];
+    case 'subregion':
+      return country.subregion ? [country.subregion] : [];
+    case 'language':
+      return [...Object.keys(country.languages || {}), ...Object.values(country.languages || {})];
+    case 'currency':
+      return Object.entries(country.currencies || {}).map(([code, currency]) => `${code} ${currency.name || ''}`);
+    case 'capital':
+      return country.capital || [];
+    case 'code':
+      return [country.cca2, country.cca3].filter(Boolean);
+    default:
+      return [];
+  }
+}
+
+// Check a country against one query filter
+function matchesSearchFilter(country, filter) {
+  if (NUMERIC_SEARCH_KEYS.includes(filter.field)) {
+    const value = RANGE_FILTERS[filter.field].getValue(country);
+    if (value === null || value === undefined) return false;
+
+    switch (filter.operator) {
+      case '>': return value > filter.value;
+      case '>=': return value >= filter.value;
+      case '<': return value < filter.value;
+      case '<=': return value <= filter.value;
+      default: return value === filter.value;
+    }
+  }
+
+  const values = getSearchFilterValues(country, filter.field).map(normalizeSearchText);
+  if (filter.field === 'code') {
+    return values.includes(filter.value);
+  }
+  return values.some(value => value.includes(filter.value));
+}
+
+// Searchable text of a country, grouped by field
+function getSearchFields(country) {
+  const nativeNames = Object.values((country.name && country.name.nativeName) || {})
+    .flatMap(native => [native.common, native.official]);
+
+  return {
+    name: [getCountryName(country), country.name.common],
+    code: [country.cca2, country.cca3],
+    official: [getOfficialCountryName(country), country.name.official],
+    native: nativeNames,
+    altSpelling: country.altSpellings || [],
+    capital: country.capital || [],
+    region: [country.region, translateRegion(country.region)]
+  };
+}
+
+// Normalized search keys per country object, with the UI language they were built for
+const searchKeyCache = new WeakMap();
+
+// Search keys of a country: per field, each normalized value with its words split out.
+// Built once per country and language instead of on every keystroke.
+function getSearchKeys(country) {
+  const cached = searchKeyCache.get(country);
+  if (cached && cached.language === currentLanguage) return cached.keys;
+
+  const keys = {};
+  Object.entries(getSearchFields(country)).forEach(([field, values]) => {
+    keys[field] = values.filter(Boolean).map(normalizeSearchText).map(text => ({
+      text,
+      words: text.split(/[^a-z0-9]+/).filter(Boolean)
+    }));
+  });
+  searchKeyCache.set(country, { language: currentLanguage, keys });
+  return keys;
+}
+
+// Number of typos tolerated for a term of this length
+function getTypoTolerance(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// Levenshtein distance, giving up once it exceeds maxDistance
+function getEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typo distance between a term and the closest word (or word prefix) in a value
+function getFuzzyDistance(term, words) {
+  const tolerance = getTypoTolerance(term);
+  if (tolerance === 0) return Infinity;
+
+  let best = Infinity;
+  words.forEach(word => {
+    const candidates = word.length > term.length ? [word, word.slice(0, term.length)] : [word];
+    candidates.forEach(candidate => {
+      best = Math.min(best, getEditDistance(term, candidate, tolerance));
+    });
+  });
+  return best <= tolerance ? best : Infinity;
+}
+
+// How well a term matches a search key, from 0 (no match) to 1 (exact)
+function getMatchQuality(term, { text, words }) {
+  if (text === term) return 1;
+  if (text.startsWith(term)) return 0.9;
+  if (words.some(word => word.startsWith(term))) return 0.8;
+  if (text.includes(term)) return 0.6;
+
+  const distance = getFuzzyDistance(term, words);
+  return distance === Infinity ? 0 : 0.5 - distance * 0.15;
+}
+
+// Relevance score of a country for the free-text terms (0 when any term does not match)
+function scoreCountry(country, terms) {
+  const keys = getSearchKeys(country);
+  let total = 0;
+
+  for (const term of terms) {
+    let best = 0;
+    Object.keys(keys).forEach(field => {
+      keys[field].forEach(key => {
+        // Codes only count on an exact hit, otherwise "fr" would match half the list
+        const quality = field === 'code' ? (key.text === term ? 1 : 0) : getMatchQuality(term, key);
+        best = Math.max(best, quality * SEARCH_FIELD_WEIGHTS[field]);
+      });
+    });
+
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  return total;
+}
+
+// Search countries: apply query filters, then keep and score free-text matches.
+// Returns { countries, scores } where scores maps cca3 to relevance.
+function searchCountries(countries, query) {
+  const scores = new Map();
+  let results = countries.filter(country => query.filters.every(filter => matchesSearchFilter(country, filter)));
+
+  if (query.terms.length > 0) {
+    results = results.filter(country => {
+      const score = scoreCountry(country, query.terms);
+      if (score > 0) scores.set(country.cca3, score);
+      return score > 0;
+    });
+  }
+
+  return { countries: results, scores };
+}
+
+// Escaped markup of text with the parts that match the search terms wrapped in <mark>
+function highlightMatches(text, terms) {
+  if (!text || terms.length === 0) return escapeHTML(text);
+
+  // Normalize character by character, remembering where each normalized char came from
+  let normalized = '';
+  const sourceIndex = [];
+  for (let i = 0; i < text.length; i++) {
+    const normalizedChar = normalizeSearchText(text[i]);
+    for (let k = 0; k < normalizedChar.length; k++) {
+      normalized += normalizedChar[k];
+      sourceIndex.push(i);
+    }
+  }
+
+  const ranges = [];
+  const addRange = (start, end) => ranges.push([sourceIndex[start], sourceIndex[end - 1] + 1]);
+
+  terms.forEach(term => {
+    let position = normalized.indexOf(term);
+    if (position !== -1) {
+      while (position !== -1) {
+        addRange(position, position + term.length);
+        position = normalized.indexOf(term, position + term.length);
+      }
+      return;
+    }
+
+    // No literal hit: highlight words that matched with a typo
+    const wordPattern = /[a-z0-9]+/g;
+    let word;
+    while ((word = wordPattern.exec(normalized)) !== null) {
+      if (getFuzzyDistance(term, [word[0]]) !== Infinity) {
+        addRange(word.index, word.index + word[0].length);
+      }
+    }
+  });
+
+  if (ranges.length === 0) return escapeHTML(text);
+
+  // Merge overlapping ranges and build the markup
+  ranges.sort((a, b) => a[0] - b[0]);
+  let html = '';
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (end <= cursor) return;
+    start = Math.max(start, cursor);
+    html += `${escapeHTML(text.slice(cursor, start))}<mark class="search-highlight">${escapeHTML(text.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+  return html + escapeHTML(text.slice(cursor));
+}
@@ -0,0 +1,140 @@
+// REST Countries Explorer - Sorting
+// A sort is a list of up to two keys ({ field, direction }) applied in order, with the
+// country name as the final tiebreaker. Countries missing a value always go last.
+
+const MAX_SORT_KEYS = 2;
+const DEFAULT_SORT = 'name:asc';
+
+// Sortable fields: getValue returns a string or number, or null when the value is missing.
+// Picking a field starts in its default direction.
+const SORT_FIELDS = {
+  name: {
+    labelKey: 'sort.field.name',
+    defaultDirection: 'asc',
+    getValue: country => getCountryName(country)
+  },
+  population: {
+    labelKey: 'sort.field.population',
+    defaultDirection: 'desc',
+    getValue: country => typeof country.population === 'number' ? country.population : null
+  },
+  area: {
+    labelKey: 'sort.field.area',
+    defaultDirection: 'desc',
+    getValue: country => typeof country.area === 'number' && country.area > 0 ? country.area : null
+  },
+  density: {
+    labelKey: 'sort.field.density',
+    defaultDirection: 'desc',
+    getValue: country => getPopulationDensity(country)
+  },
+  borders: {
+    labelKey: 'sort.field.borders',
+    defaultDirection: 'desc',
+    getValue: country => Array.isArray(country.borders) ? country.borders.length : null
+  },
+  languages: {
+    labelKey: 'sort.field.languages',
+    defaultDirection: 'desc',
+    getValue: country => country.languages ? Object.keys(country.languages).length : null
+  },
+  capital: {
+    labelKey: 'sort.field.capital',
+    defaultDirection: 'asc',
+    getValue: country => country.capital && country.capital[0] ? country.capital[0] : null
+  },
+  region: {
+    labelKey: 'sort.field.region',
+    defaultDirection: 'asc',
+    getValue: country => country.region ? translateRegion(country.region) : null
+  },
+  subregion: {
+    labelKey: 'sort.field.subregion',
+    defaultDirection: 'asc',
+    getValue: country => country.subregion || null
+  },
+  timezone: {
+    labelKey: 'sort.field.timezone',
+    defaultDirection: 'asc',
+    // West to east by the westernmost zone, east to west by the easternmost one
+    getValue: (country, direction) => getUtcOffsetSortKey(country, direction === 'desc')
+  },
+  distance: {
+    labelKey: 'sort.distance',
+    defaultDirection: 'asc',
+    getValue: country => {
+      const home = getCountryByCode(homeCountryCode);
+      return home ? getCountryDistance(home, country) : null;
+    }
+  }
+};
+
+// Sort values used in links shared before sorting had separate keys and directions
+const LEGACY_SORTS = {
+  'a-z': 'name:asc',
+  'z-a': 'name:desc',
+  'continent': 'region:asc',
+  'pop-high': 'population:desc',
+  'pop-low': 'population:asc',
+  'tz-west': 'timezone:asc',
+  'tz-east': 'timezone:desc',
+  'distance': 'distance:asc'
+};
+
+// "population:desc,name:asc" to sort keys (null when nothing in it is valid)
+function parseSortSpec(text) {
+  if (typeof text !== 'string') return null;
+
+  const sortKeys = [];
+  (Object.hasOwn(LEGACY_SORTS, text) ? LEGACY_SORTS[text] : text).split(',').forEach(part => {
+    const [field, direction] = part.split(':');
+    if (!Object.hasOwn(SORT_FIELDS, field) || !['asc', 'desc'].includes(direction)) return;
+    if (sortKeys.length === MAX_SORT_KEYS || isSortedBy(sortKeys, field)) return;
+    sortKeys.push({ field, direction });
+  });
+  return sortKeys.length > 0 ? sortKeys : null;
+}
+
+// Sort keys to "population:desc,name:asc"
+function formatSortSpec(sortKeys) {
+  return sortKeys.map(key => `${key.field}:${key.direction}`).join(',');
+}
+
+// True when one of the sort keys uses the field
+function isSortedBy(sortKeys, field) {
+  return sortKeys.some(key => key.field === field);
+}
+
+// Compare two sort values: strings in the UI language's collation, numbers numerically
+function compareSortValues(a, b) {
+  return typeof a === 'string' ? a.localeCompare(b, getLocale()) : a - b;
+}
+
+// Countries ordered by the sort keys, then by name, then by code so the order is stable.
+// Values are read once per country rather than once per comparison.
+function sortCountries(countries, sortKeys) {
+  const entries = countries.map(country => ({
+    country,
+    name: getCountryName(country),
+    values: sortKeys.map(key => {
+      const value = SORT_FIELDS[key.field].getValue(country, key.direction);
+      return value === undefined || Number.isNaN(value) ? null : value;
+    })
+  }));
+
+  entries.sort((a, b) => {
+    for (let i = 0; i < sortKeys.length; i++) {
+      const valueA = a.values[i];
+      const valueB = b.values[i];
+      if (valueA === valueB) continue;
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+
+      const order = compareSortValues(valueA, valueB);
+      if (order !== 0) return sortKeys[i].direction === 'desc' ? -order : order;
+    }
+    return a.name.localeCompare(b.name, getLocale()) || a.country.cca3.localeCompare(b.country.cca3);
+  });
+
+  return entries.map(entry => entry.country);
+}
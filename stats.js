@@ -0,0 +1,178 @@
+// REST Countries Explorer - Statistics
+// Summary numbers, rankings and CSS bar charts computed from the current filtered countries
+
+const STATS_TOP_COUNT = 10;
+
+// Median of a list of numbers (null for an empty list)
+function getMedian(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Group countries by the labels getLabels returns, most frequent first
+function groupCountries(countries, getLabels) {
+  const groups = new Map();
+
+  countries.forEach(country => {
+    new Set(getLabels(country)).forEach(label => {
+      const group = groups.get(label) || { label, count: 0, population: 0 };
+      group.count++;
+      group.population += country.population || 0;
+      groups.set(label, group);
+    });
+  });
+
+  return [...groups.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, getLocale()));
+}
+
+// Countries with a value, ranked by it
+function rankCountries(countries, getValue, descending = true) {
+  return countries
+    .map(country => ({ country, value: getValue(country) }))
+    .filter(entry => entry.value !== null && entry.value !== undefined)
+    .sort((a, b) => descending ? b.value - a.value : a.value - b.value)
+    .slice(0, STATS_TOP_COUNT);
+}
+
+// Compute every statistic shown in the hero cards and the statistics panel
+function computeStatistics(countries) {
+  const populations = countries.map(country => country.population).filter(value => typeof value === 'number');
+  const areas = countries.map(country => country.area).filter(value => typeof value === 'number' && value > 0);
+
+  return {
+    count: countries.length,
+    totalPopulation: populations.reduce((sum, value) => sum + value, 0),
+    medianPopulation: getMedian(populations),
+    totalArea: areas.reduce((sum, value) => sum + value, 0),
+    medianArea: getMedian(areas),
+    densest: rankCountries(countries, getPopulationDensity),
+    sparsest: rankCountries(countries, getPopulationDensity, false),
+    topPopulation: rankCountries(countries, country => country.population),
+    topArea: rankCountries(countries, country => country.area),
+    regions: groupCountries(countries, country => country.region ? [translateRegion(country.region)] : []),
+    subregions: groupCountries(countries, country => country.subregion ? [country.subregion] : []),
+    languages: groupCountries(countries, country => Object.values(country.languages || {})).slice(0, STATS_TOP_COUNT),
+    currencies: groupCountries(countries, country => Object.entries(country.currencies || {})
+      .map(([code, currency]) => currency.name ? `${currency.name} (${code})` : code)).slice(0, STATS_TOP_COUNT)
+  };
+}
+
+// Horizontal bar chart: rows of { label, value, text }, bars scaled to the largest value
+function renderBarChart(rows) {
+  if (rows.length === 0) {
+    return `<p class="text-sm text-gray-400">${t('common.notAvailable')}</p>`;
+  }
+
+  const max = Math.max(...rows.map(row => row.value)) || 1;
+  return rows.map(row => `
+    <div class="stats-row">
+      <div class="stats-row-label">${row.label}</div>
+      <div class="stats-bar"><div class="stats-bar-fill" style="width: ${Math.max(1, row.value / max * 100)}%"></div></div>
+      <div class="stats-row-value">${row.text}</div>
+    </div>
+  `).join('');
+}
+
+// Bar chart of ranked countries with clickable names
+function renderCountryRanking(entries, formatValue) {
+  return renderBarChart(entries.map(entry => ({
+    label: renderCountryLink(entry.country.cca3),
+    value: entry.value,
+    text: formatValue(entry.value)
+  })));
+}
+
+// Bar chart of country counts per group
+function renderGroupChart(groups, showPopulation = false) {
+  return renderBarChart(groups.map(group => ({
+    label: escapeHTML(group.label),
+    value: group.count,
+    text: showPopulation
+      ? `${formatNumber(group.count)} · ${formatCompactNumber(group.population)} ${t('unit.people')}`
+      : formatNumber(group.count)
+  })));
+}
+
+// Live summary cards in the hero section
+function renderHeroStats(stats) {
+  const median = (value, unit) => t('stats.median', { value: value === null ? '—' : `${formatCompactNumber(value)} ${unit}` });
+  const cards = [
+    {
+      value: formatNumber(stats.count),
+      label: t('stats.countries'),
+      note: t('stats.countriesOf', { total: formatNumber(allCountries.length) }),
+      color: 'text-blue-600'
+    },
+    {
+      value: formatCompactNumber(stats.totalPopulation),
+      label: t('stats.totalPopulation'),
+      note: median(stats.medianPopulation, t('unit.people')),
+      color: 'text-green-600'
+    },
+    {
+      value: `${formatCompactNumber(stats.totalArea)} ${t('unit.km2')}`,
+      label: t('stats.totalArea'),
+      note: median(stats.medianArea, t('unit.km2')),
+      color: 'text-purple-600'
+    }
+  ];
+
+  heroStats.innerHTML = cards.map(card => `
+    <div class="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+      <div class="text-3xl font-bold ${card.color} mb-2">${card.value}</div>
+      <div class="text-gray-600 font-medium">${card.label}</div>
+      <div class="text-sm text-gray-500 mt-1">${card.note}</div>
+    </div>
+  `).join('');
+}
+
+// Full statistics panel
+function renderStatisticsPanel(stats) {
+  if (stats.count === 0) {
+    statsContent.innerHTML = `<p class="text-gray-500">${t('stats.empty')}</p>`;
+    return;
+  }
+
+  const density = value => `${formatNumber(Math.round(value * 10) / 10)} ${t('unit.perKm2')}`;
+  const sections = [
+    { title: t('stats.byRegion'), body: renderGroupChart(stats.regions, true) },
+    { title: t('stats.bySubregion'), body: `<div class="stats-scroll">${renderGroupChart(stats.subregions, true)}</div>` },
+    { title: t('stats.topPopulation'), body: renderCountryRanking(stats.topPopulation, value => `${formatCompactNumber(value)} ${t('unit.people')}`) },
+    { title: t('stats.topArea'), body: renderCountryRanking(stats.topArea, value => `${formatCompactNumber(value)} ${t('unit.km2')}`) },
+    { title: t('stats.densest'), body: renderCountryRanking(stats.densest, density) },
+    { title: t('stats.sparsest'), body: renderCountryRanking(stats.sparsest, density) },
+    { title: t('stats.languages'), body: renderGroupChart(stats.languages) },
+    { title: t('stats.currencies'), body: renderGroupChart(stats.currencies) }
+  ];
+
+  statsContent.innerHTML = `
+    <p class="text-sm text-gray-500 mb-4">${t('stats.summary', {
+      count: formatNumber(stats.count),
+      population: formatNumber(stats.totalPopulation),
+      medianPopulation: formatNumber(stats.medianPopulation),
+      area: formatNumber(Math.round(stats.totalArea)),
+      medianArea: formatNumber(Math.round(stats.medianArea || 0))
+    })}</p>
+    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+      ${sections.map(section => `
+        <div class="stats-card">
+          <h4>${section.title}</h4>
+          ${section.body}
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Refresh the hero cards, and the panel when it is open, for the given result set
+function renderStatistics(countries) {
+  const stats = computeStatistics(countries);
+  renderHeroStats(stats);
+
+  if (!statsPanel.classList.contains('hidden')) {
+    renderStatisticsPanel(stats);
+  }
+}
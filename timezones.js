@@ -0,0 +1,121 @@
+// REST Countries Explorer - Time Zones
+// Parses the API's "UTC+05:30" strings into offsets for live clocks,
+// offset sorting and the "currently between 09:00 and 17:00" filter
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Minutes east of UTC for "UTC", "UTC+05:30", "UTC-03:00" (null when unreadable)
+function parseUtcOffset(zone) {
+  const match = /^UTC(?:([+\-−±])(\d{1,2})(?::?(\d{2}))?)?$/.exec(String(zone).trim());
+  if (!match) return null;
+  if (!match[1]) return 0;
+
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' || match[1] === '−' ? -minutes : minutes;
+}
+
+// Distinct UTC offsets of a country, west to east
+function getCountryOffsets(country) {
+  const offsets = (country.timezones || []).map(parseUtcOffset).filter(offset => offset !== null);
+  return [...new Set(offsets)].sort((a, b) => a - b);
+}
+
+// "UTC+05:30" label for an offset in minutes
+function formatUtcOffset(offset) {
+  if (offset === 0) return 'UTC';
+
+  const absolute = Math.abs(offset);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  const minutes = String(absolute % 60).padStart(2, '0');
+  return `UTC${offset < 0 ? '-' : '+'}${hours}:${minutes}`;
+}
+
+// Minute of the day (0-1439) at an offset
+function getLocalMinuteOfDay(offset, now = Date.now()) {
+  const minutes = Math.floor(now / 60000) + offset;
+  return ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+// Local time at an offset, formatted for the UI language ("14:05", or "Mon 14:05" with the weekday)
+function formatLocalTime(offset, withWeekday = false, now = Date.now()) {
+  const shifted = new Date(now + offset * 60000);
+  const options = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone: 'UTC' };
+  if (withWeekday) options.weekday = 'short';
+  return new Intl.DateTimeFormat(getLocale(), options).format(shifted);
+}
+
+// "HH:MM" to minutes since midnight (null when empty or invalid)
+function parseTimeOfDay(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return null;
+  return Math.min(MINUTES_PER_DAY, Number(match[1]) * 60 + Number(match[2]));
+}
+
+// True when any of the country's zones is currently inside [from, to).
+// A window ending before it starts runs past midnight (e.g. 22:00-06:00).
+function isWithinLocalHours(country, from, to, now = Date.now()) {
+  const start = parseTimeOfDay(from) ?? 0;
+  const end = parseTimeOfDay(to) ?? MINUTES_PER_DAY;
+  if (start === end) return true;
+
+  return getCountryOffsets(country).some(offset => {
+    const minute = getLocalMinuteOfDay(offset, now);
+    return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+  });
+}
+
+// Sort key for the time zone sort: the westernmost offset, or the easternmost one when sorting east to west
+function getUtcOffsetSortKey(country, eastFirst = false) {
+  const offsets = getCountryOffsets(country);
+  if (offsets.length === 0) return null;
+  return eastFirst ? offsets[offsets.length - 1] : offsets[0];
+}
+
+// Clock text for a card: one time, or the range across the country's zones
+function formatClockSummary(offsets) {
+  if (offsets.length === 0) return t('common.notAvailable');
+  if (offsets.length === 1) return `${formatLocalTime(offsets[0])} (${formatUtcOffset(offsets[0])})`;
+
+  const range = `${formatLocalTime(offsets[0])} – ${formatLocalTime(offsets[offsets.length - 1])}`;
+  return `${range} (${t('time.zoneCount', { count: offsets.length })})`;
+}
+
+// Live clock line shown on a card
+function renderCardClock(country) {
+  const offsets = getCountryOffsets(country);
+  if (offsets.length === 0) return '';
+
+  return `
+    <p class="text-gray-600 text-sm mt-1">
+      <span class="font-medium">${t('card.localTime')}:</span>
+      <span class="live-clock" data-clock-offsets="${offsets.join(',')}">${formatClockSummary(offsets)}</span>
+    </p>
+  `;
+}
+
+// Current local time in each of the country's zones, for the modal
+function renderTimezoneClocks(country) {
+  const offsets = getCountryOffsets(country);
+  if (offsets.length === 0) return `<p>${t('common.notAvailable')}</p>`;
+
+  return `
+    <ul class="space-y-1">
+      ${offsets.map(offset => `
+        <li class="flex justify-between gap-4">
+          <span>${formatUtcOffset(offset)}</span>
+          <span class="live-clock font-medium" data-clock-offsets="${offset}" data-clock-weekday="true">${formatLocalTime(offset, true)}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+// Advance every clock on the page to the current minute
+function updateClocks() {
+  document.querySelectorAll('.live-clock').forEach(clock => {
+    const offsets = clock.dataset.clockOffsets.split(',').map(Number);
+    clock.textContent = clock.dataset.clockWeekday
+      ? formatLocalTime(offsets[0], true)
+      : formatClockSummary(offsets);
+  });
+}
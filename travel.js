@@ -0,0 +1,167 @@
+// REST Countries Explorer - Travel Tracker
+// Per-country travel status (visited with an optional date, want to visit, lived in)
+// and how much of each region, its population and its land area has been covered
+
+const TRAVEL_FILE_VERSION = 1;
+
+// Travel statuses; "covered" ones count towards the progress percentages
+const TRAVEL_STATUSES = {
+  visited: { icon: '✈️', labelKey: 'travel.status.visited', covered: true },
+  lived: { icon: '🏠', labelKey: 'travel.status.lived', covered: true },
+  want: { icon: '🎯', labelKey: 'travel.status.want', covered: false }
+};
+
+// Travel filter options besides "all": one per status plus countries without a status
+const TRAVEL_FILTERS = [...Object.keys(TRAVEL_STATUSES), 'none'];
+
+// Status key of a country in a travel log, or null
+function getTravelStatus(log, countryCode) {
+  return log[countryCode] ? log[countryCode].status : null;
+}
+
+// True when a country passes the travel filter ('all', a status key or 'none')
+function matchesTravelFilter(log, countryCode, filter) {
+  if (filter === 'all') return true;
+  const status = getTravelStatus(log, countryCode);
+  return filter === 'none' ? status === null : status === filter;
+}
+
+// "12.5%" in the UI language (share between 0 and 1)
+function formatPercent(share) {
+  return new Intl.NumberFormat(getLocale(), { style: 'percent', maximumFractionDigits: 1 }).format(share);
+}
+
+// Status counts and covered countries, population and area per region, plus a world total
+function computeTravelProgress(countries, log) {
+  const createRow = label => ({
+    label,
+    total: 0,
+    population: 0,
+    area: 0,
+    counts: Object.fromEntries(Object.keys(TRAVEL_STATUSES).map(status => [status, 0])),
+    covered: { countries: 0, population: 0, area: 0 }
+  });
+  const regions = new Map();
+  const world = createRow(t('travel.world'));
+
+  countries.forEach(country => {
+    const label = country.region ? translateRegion(country.region) : t('group.unknown');
+    if (!regions.has(label)) regions.set(label, createRow(label));
+
+    const status = getTravelStatus(log, country.cca3);
+    [regions.get(label), world].forEach(row => {
+      row.total++;
+      row.population += country.population || 0;
+      row.area += country.area || 0;
+      if (!status) return;
+
+      row.counts[status]++;
+      if (TRAVEL_STATUSES[status].covered) {
+        row.covered.countries++;
+        row.covered.population += country.population || 0;
+        row.covered.area += country.area || 0;
+      }
+    });
+  });
+
+  return {
+    regions: [...regions.values()].sort((a, b) => a.label.localeCompare(b.label, getLocale())),
+    world
+  };
+}
+
+// Progress table: status counts and covered shares per region, world total last
+function renderTravelProgress(progress) {
+  const share = (part, whole) => whole > 0 ? formatPercent(part / whole) : t('common.notAvailable');
+  const renderRow = (row, className = '') => `
+    <tr class="${className}">
+      <th scope="row" class="text-left font-medium py-2 pr-4">${escapeHTML(row.label)}</th>
+      ${Object.keys(TRAVEL_STATUSES).map(status => `<td class="text-right px-2">${formatNumber(row.counts[status])}</td>`).join('')}
+      <td class="px-2">
+        <div class="travel-progress" title="${share(row.covered.countries, row.total)}">
+          <div class="travel-progress-fill" style="width: ${row.total > 0 ? row.covered.countries / row.total * 100 : 0}%"></div>
+        </div>
+        <span class="text-xs text-gray-500">${formatNumber(row.covered.countries)}/${formatNumber(row.total)} · ${share(row.covered.countries, row.total)}</span>
+      </td>
+      <td class="text-right px-2">${share(row.covered.population, row.population)}</td>
+      <td class="text-right pl-2">${share(row.covered.area, row.area)}</td>
+    </tr>
+  `;
+
+  return `
+    <p class="text-sm text-gray-500 mb-3">${t('travel.progressHint')}</p>
+    <div class="overflow-x-auto">
+      <table class="w-full text-sm text-gray-700">
+        <thead class="text-xs text-gray-500 border-b border-gray-200">
+          <tr>
+            <th class="text-left py-2 pr-4">${t('travel.column.region')}</th>
+            ${Object.values(TRAVEL_STATUSES).map(status => `<th class="text-right px-2" title="${t(status.labelKey)}">${status.icon}</th>`).join('')}
+            <th class="text-left px-2">${t('travel.column.countries')}</th>
+            <th class="text-right px-2">${t('travel.column.population')}</th>
+            <th class="text-right pl-2">${t('travel.column.area')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${progress.regions.map(row => renderRow(row, 'border-b border-gray-100')).join('')}
+          ${renderRow(progress.world, 'font-semibold')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Status dropdown for a country (used on cards and in the modal)
+function renderTravelSelect(log, countryCode, className = '') {
+  const status = getTravelStatus(log, countryCode);
+  return `
+    <select
+      data-action="set-travel-status"
+      data-country-code="${escapeHTML(countryCode)}"
+      class="travel-select ${className} ${status ? 'travel-select-set' : ''}"
+      aria-label="${t('travel.statusLabel')}"
+      title="${t('travel.statusLabel')}"
+    >
+      <option value="">${t('travel.status.none')}</option>
+      ${Object.entries(TRAVEL_STATUSES).map(([key, option]) => `
+        <option value="${key}" ${key === status ? 'selected' : ''}>${option.icon} ${t(option.labelKey)}</option>
+      `).join('')}
+    </select>
+  `;
+}
+
+// Travel status of the open country, with the visit date when it is marked visited
+function renderTravelControl(log, countryCode) {
+  const entry = log[countryCode];
+  return `
+    <div class="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+      ${renderTravelSelect(log, countryCode)}
+      ${entry && entry.status === 'visited' ? `
+        <label class="flex items-center gap-2">
+          <span>${t('travel.visitedOn')}</span>
+          <input
+            type="date"
+            value="${escapeHTML(entry.date || '')}"
+            data-action="set-travel-date"
+            data-country-code="${escapeHTML(countryCode)}"
+            class="px-2 py-1 border border-gray-200 rounded-lg"
+          >
+        </label>
+      ` : ''}
+    </div>
+  `;
+}
+
+// Valid { code, status, date } entries of an exported travel file (throws when it is not one)
+function parseTravelFile(data) {
+  if (!data || !Array.isArray(data.countries)) {
+    throw new Error('Invalid travel file');
+  }
+
+  return data.countries
+    .filter(entry => entry && typeof entry.code === 'string' && /^[A-Z]{3}$/.test(entry.code) && Object.hasOwn(TRAVEL_STATUSES, entry.status))
+    .map(entry => ({
+      code: entry.code,
+      status: entry.status,
+      date: entry.status === 'visited' && /^\d{4}-\d{2}-\d{2}$/.test(entry.date) ? entry.date : null
+    }));
+}